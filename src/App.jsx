@@ -1,11 +1,15 @@
 import React, { useEffect, useState } from 'react'
 import Navbar from './components/Navbar'
 import Sidebar from './components/Sidebar'
-import { Routes, Route } from 'react-router-dom'
+import { Routes, Route, useSearchParams } from 'react-router-dom'
 import Dashboard from './pages/Dashboard'
 import Add from './pages/Add'
 import List from './pages/List'
+import Import from './pages/Import'
+import Trash from './pages/Trash'
+import Categories from './pages/Categories'
 import Orders from './pages/Orders'
+import OrderDetail from './pages/OrderDetail'
 import Reviews from './pages/Reviews'
 import Login from './components/Login'
 import { ToastContainer } from 'react-toastify';
@@ -18,6 +22,10 @@ const App = () => {
 
   const [token, setToken] = useState(localStorage.getItem('token')?localStorage.getItem('token'):'');
 
+  // A fresh Add form for every product it starts from, and for a blank one
+  const [searchParams] = useSearchParams();
+  const addKey = `add-${searchParams.get('from') || ''}`;
+
   useEffect(()=>{
     localStorage.setItem('token',token)
   },[token])
@@ -35,9 +43,14 @@ const App = () => {
             <div className='w-[70%] mx-auto ml-[max(5vw,25px)] my-8 text-gray-600 text-base'>
               <Routes>
                 <Route path='/' element={<Dashboard token={token} />} />
-                <Route path='/add' element={<Add token={token} />} />
+                <Route path='/add' element={<Add key={addKey} token={token} />} />
+                <Route path='/edit/:id' element={<Add key='edit' token={token} />} />
+                <Route path='/import' element={<Import token={token} />} />
                 <Route path='/list' element={<List token={token} />} />
+                <Route path='/trash' element={<Trash token={token} />} />
+                <Route path='/categories' element={<Categories token={token} />} />
                 <Route path='/orders' element={<Orders token={token} />} />
+                <Route path='/orders/:id' element={<OrderDetail token={token} />} />
                 <Route path='/reviews' element={<Reviews token={token} />} />
               </Routes>
             </div>
@@ -0,0 +1,75 @@
+import PropTypes from 'prop-types'
+import { assets } from '../assets/assets'
+
+const formatTime = (time) => new Date(time).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+})
+
+// Locally saved product drafts, most recent first
+const DraftsPanel = ({ drafts, currentId, onResume, onDelete, onClose }) => {
+  return (
+    <div className='w-full max-w-[700px] bg-white p-4 rounded-lg shadow-sm'>
+      <div className='flex justify-between items-center mb-3'>
+        <p className='font-medium'>Saved drafts</p>
+        <button type="button" onClick={onClose} className='text-sm hover:underline'>Close</button>
+      </div>
+
+      {drafts.length === 0 ? (
+        <p className='text-sm text-gray-500'>No saved drafts</p>
+      ) : (
+        <ul className='divide-y divide-gray-200 text-sm'>
+          {drafts.map(draft => {
+            const firstImage = draft.images[0]
+            return (
+              <li key={draft.id} className='flex items-center gap-3 py-2'>
+                <DraftThumbnail source={firstImage ? firstImage.source : null} />
+                <div className='flex-1'>
+                  <p className='font-medium'>{draft.values.name || 'Untitled product'}</p>
+                  <p className='text-xs text-gray-500'>Saved {formatTime(draft.updatedAt)}</p>
+                </div>
+                {draft.id === currentId ? (
+                  <span className='text-xs text-gray-500'>Editing</span>
+                ) : (
+                  <button type="button" onClick={() => onResume(draft)} className='text-blue-600 hover:underline'>Resume</button>
+                )}
+                <button type="button" onClick={() => onDelete(draft.id)} className='text-red-600 hover:underline'>Delete</button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+const DraftThumbnail = ({ source }) => {
+  if (!source) {
+    return <img className='w-10 h-10 object-cover' src={assets.upload_area} alt="" />
+  }
+  // Stored files have no URL; plain names keep the list light
+  return typeof source === 'string'
+    ? <img className='w-10 h-10 object-cover' src={source} alt="" />
+    : <div className='w-10 h-10 flex items-center justify-center bg-gray-100 text-[10px] text-gray-500 overflow-hidden'>{source.name}</div>
+}
+
+DraftsPanel.propTypes = {
+  drafts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    updatedAt: PropTypes.number.isRequired,
+    values: PropTypes.object.isRequired,
+    images: PropTypes.arrayOf(PropTypes.shape({ source: PropTypes.any })).isRequired
+  })).isRequired,
+  currentId: PropTypes.string,
+  onResume: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+DraftThumbnail.propTypes = {
+  source: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(File)])
+}
+
+export default DraftsPanel
@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { toast } from 'react-toastify'
+import { exportColumns, exportOrders, getExportColumns, setExportColumns } from '../utils/orderExport'
+
+// Column picker and format choice for exporting the filtered orders.
+// loadOrders fetches all of them once the admin hits Export.
+const ExportOrdersModal = ({ count, loadOrders, onClose }) => {
+  const [columns, setColumns] = useState(getExportColumns)
+  const [format, setFormat] = useState('csv')
+  const [exporting, setExporting] = useState(false)
+
+  const toggleColumn = (key) => {
+    setColumns(prev => prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key])
+  }
+
+  const onExport = async () => {
+    setExporting(true)
+    try {
+      setExportColumns(columns)
+      await exportOrders(await loadOrders(), columns, format)
+      onClose()
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div onClick={onClose} className='fixed inset-0 bg-black/40 flex items-center justify-center z-50'>
+      <div onClick={(e) => e.stopPropagation()} className='bg-white rounded-lg shadow-lg p-6 w-[90%] max-w-md text-sm text-gray-700'>
+        <div className='flex justify-between items-center mb-2'>
+          <h4 className='text-md font-medium'>Export {count} orders</h4>
+          <button onClick={onClose} className='text-lg'>✕</button>
+        </div>
+
+        <div className='flex justify-between items-center mb-2'>
+          <p className='font-medium'>Columns</p>
+          <button
+            onClick={() => setColumns(columns.length === exportColumns.length ? [] : exportColumns.map(column => column.key))}
+            className='text-blue-600 hover:underline'
+          >
+            {columns.length === exportColumns.length ? 'Select none' : 'Select all'}
+          </button>
+        </div>
+        <div className='grid grid-cols-2 gap-1 mb-4'>
+          {exportColumns.map(column => (
+            <label key={column.key} className='flex items-center gap-2 cursor-pointer'>
+              <input type='checkbox' checked={columns.includes(column.key)} onChange={() => toggleColumn(column.key)} />
+              {column.label}
+            </label>
+          ))}
+        </div>
+
+        <p className='font-medium mb-1'>Format</p>
+        <div className='flex gap-4 mb-4'>
+          <label className='flex items-center gap-2 cursor-pointer'>
+            <input type='radio' checked={format === 'csv'} onChange={() => setFormat('csv')} />
+            CSV
+          </label>
+          <label className='flex items-center gap-2 cursor-pointer'>
+            <input type='radio' checked={format === 'xlsx'} onChange={() => setFormat('xlsx')} />
+            Excel (XLSX)
+          </label>
+        </div>
+
+        <div className='flex justify-end space-x-2'>
+          <button onClick={onClose} className='px-4 py-2 border border-gray-300 rounded'>Cancel</button>
+          <button
+            onClick={onExport}
+            disabled={!columns.length || !count || exporting}
+            className='px-4 py-2 bg-black text-white rounded disabled:opacity-50'
+          >
+            {exporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+ExportOrdersModal.propTypes = {
+  count: PropTypes.number.isRequired,
+  loadOrders: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default ExportOrdersModal
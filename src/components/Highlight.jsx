@@ -0,0 +1,24 @@
+import PropTypes from 'prop-types'
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Marks every occurrence of the words in `query` inside `text`, ignoring case
+const Highlight = ({ text, query }) => {
+  const value = text === null || text === undefined ? '' : String(text)
+  const terms = (query || '').trim().split(/\s+/).filter(Boolean)
+  if (!terms.length) return value
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+
+  // split() with a capture group puts the matches at the odd indexes
+  return value.split(pattern).map((part, index) =>
+    index % 2 === 1 ? <mark key={index} className='bg-yellow-200'>{part}</mark> : part
+  )
+}
+
+Highlight.propTypes = {
+  text: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  query: PropTypes.string
+}
+
+export default Highlight
@@ -0,0 +1,152 @@
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { toast } from 'react-toastify'
+import { assets } from '../assets/assets'
+import { ACCEPTED_TYPES, makeImageItem, prepareImage, releaseImageItem } from '../utils/images'
+
+// Drop zone plus a sortable thumbnail strip. The first image is the primary one.
+const ImageManager = ({ images, onChange, max }) => {
+
+  const [dragOver, setDragOver] = useState(false)
+  const [processing, setProcessing] = useState(false)
+  const [draggedIndex, setDraggedIndex] = useState(null)
+
+  // Free object URLs of images that were removed, and all of them on unmount
+  const previous = useRef(images)
+  useEffect(() => {
+    const currentIds = images.map(item => item.id)
+    previous.current
+      .filter(item => !currentIds.includes(item.id))
+      .forEach(releaseImageItem)
+    previous.current = images
+  }, [images])
+
+  useEffect(() => {
+    const tracked = previous
+    return () => tracked.current.forEach(releaseImageItem)
+  }, [])
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList)
+    const room = max - images.length
+    if (files.length > room) {
+      toast.error(`You can add at most ${max} images`)
+    }
+
+    setProcessing(true)
+    const added = []
+    for (const file of files.slice(0, Math.max(room, 0))) {
+      try {
+        added.push(makeImageItem(await prepareImage(file)))
+      } catch (error) {
+        toast.error(error.message)
+      }
+    }
+    setProcessing(false)
+
+    if (added.length) {
+      onChange([...images, ...added])
+    }
+  }
+
+  const removeImage = (id) => {
+    onChange(images.filter(item => item.id !== id))
+  }
+
+  const moveImage = (from, to) => {
+    if (from === to) return
+    const next = [...images]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    onChange(next)
+  }
+
+  const onDrop = (e) => {
+    e.preventDefault()
+    setDragOver(false)
+    if (e.dataTransfer.files.length) {
+      addFiles(e.dataTransfer.files)
+    }
+  }
+
+  return (
+    <div>
+      {images.length < max && (
+        <label
+          onDragOver={(e) => { e.preventDefault(); setDragOver(true) }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={onDrop}
+          className={`flex items-center gap-3 w-full max-w-[500px] p-3 border-2 border-dashed rounded cursor-pointer ${dragOver ? 'border-black bg-gray-100' : 'border-gray-300'}`}
+        >
+          <img className='w-14' src={assets.upload_area} alt="" />
+          <span className='text-sm text-gray-500'>
+            {processing
+              ? 'Processing images...'
+              : `Drop images here or click to browse (JPEG, PNG or WebP, up to ${max})`}
+          </span>
+          <input
+            onChange={(e) => { addFiles(e.target.files); e.target.value = '' }}
+            type="file"
+            accept={ACCEPTED_TYPES.join(',')}
+            multiple
+            hidden
+            disabled={processing}
+          />
+        </label>
+      )}
+
+      {images.length > 0 && (
+        <div className='flex flex-wrap gap-2 mt-2'>
+          {images.map((item, index) => (
+            <div
+              key={item.id}
+              draggable
+              onDragStart={() => setDraggedIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault()
+                e.stopPropagation()
+                if (draggedIndex !== null) moveImage(draggedIndex, index)
+                setDraggedIndex(null)
+              }}
+              onDragEnd={() => setDraggedIndex(null)}
+              className={`relative w-20 border rounded cursor-move ${index === 0 ? 'border-black' : 'border-gray-300'} ${draggedIndex === index ? 'opacity-50' : ''}`}
+            >
+              <img className='w-20 h-20 object-cover rounded' src={item.preview} alt="" />
+              <button
+                type="button"
+                onClick={() => removeImage(item.id)}
+                className='absolute top-0 right-0 w-5 h-5 bg-white/90 text-xs leading-5 rounded-bl'
+              >
+                ✕
+              </button>
+              {index === 0 ? (
+                <p className='text-[10px] text-center bg-black text-white'>Primary</p>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, 0)}
+                  className='w-full text-[10px] text-center bg-gray-100 hover:bg-gray-200'
+                >
+                  Make primary
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+ImageManager.propTypes = {
+  images: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    source: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(File)]).isRequired,
+    preview: PropTypes.string.isRequired
+  })).isRequired,
+  onChange: PropTypes.func.isRequired,
+  max: PropTypes.number.isRequired
+}
+
+export default ImageManager
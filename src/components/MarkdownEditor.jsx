@@ -0,0 +1,107 @@
+import { useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import MarkdownView from './MarkdownView'
+
+const SIZE_CHART = `
+| Size | Chest (in) | Length (in) |
+| ---- | ---------- | ----------- |
+| S    | 36         | 27          |
+| M    | 38         | 28          |
+| L    | 40         | 29          |
+`
+
+// Toolbar actions either wrap the selection or start each selected line with a prefix
+const actions = [
+  { label: 'B', title: 'Bold', wrap: ['**', '**'], placeholder: 'bold text', className: 'font-bold' },
+  { label: 'I', title: 'Italic', wrap: ['_', '_'], placeholder: 'italic text', className: 'italic' },
+  { label: 'H', title: 'Heading', prefix: '### ', placeholder: 'Heading' },
+  { label: '• List', title: 'Bullet list', prefix: '- ', placeholder: 'List item' },
+  { label: '1. List', title: 'Numbered list', prefix: '1. ', placeholder: 'List item' },
+  { label: 'Link', title: 'Link', wrap: ['[', '](https://)'], placeholder: 'link text' },
+  { label: 'Size chart', title: 'Insert size chart table', insert: SIZE_CHART }
+]
+
+// Markdown textarea with a formatting toolbar and a live preview
+const MarkdownEditor = ({ value, onChange, placeholder }) => {
+  const textarea = useRef(null)
+  const [showPreview, setShowPreview] = useState(true)
+
+  const applyAction = (action) => {
+    const input = textarea.current
+    const start = input.selectionStart
+    const end = input.selectionEnd
+    const selected = value.slice(start, end)
+
+    let replacement
+    if (action.insert) {
+      replacement = action.insert
+    } else if (action.wrap) {
+      replacement = action.wrap[0] + (selected || action.placeholder) + action.wrap[1]
+    } else {
+      replacement = (selected || action.placeholder)
+        .split('\n')
+        .map(line => action.prefix + line)
+        .join('\n')
+      // Line prefixes only work at the start of a line
+      if (start > 0 && value[start - 1] !== '\n') replacement = '\n' + replacement
+    }
+
+    onChange(value.slice(0, start) + replacement + value.slice(end))
+
+    requestAnimationFrame(() => {
+      input.focus()
+      input.setSelectionRange(start, start + replacement.length)
+    })
+  }
+
+  return (
+    <div className='w-full'>
+      <div className='flex flex-wrap items-center gap-1 mb-1'>
+        {actions.map(action => (
+          <button
+            key={action.title}
+            type="button"
+            title={action.title}
+            onClick={() => applyAction(action)}
+            className={`px-2 py-0.5 text-sm bg-slate-200 hover:bg-slate-300 ${action.className || ''}`}
+          >
+            {action.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setShowPreview(prev => !prev)}
+          className='ml-auto text-sm text-blue-600 hover:underline'
+        >
+          {showPreview ? 'Hide preview' : 'Show preview'}
+        </button>
+      </div>
+      <div className={`grid gap-3 ${showPreview ? 'grid-cols-1 lg:grid-cols-2' : 'grid-cols-1'}`}>
+        <textarea
+          ref={textarea}
+          onChange={(e) => onChange(e.target.value)}
+          value={value}
+          rows={10}
+          className='w-full px-3 py-2 font-mono text-sm'
+          placeholder={placeholder}
+        />
+        {showPreview && (
+          <div className='min-h-[150px] px-3 py-2 border border-dashed border-gray-300 rounded bg-white text-sm'>
+            {value.trim()
+              ? <MarkdownView source={value} />
+              : <p className='text-gray-400'>Preview appears here</p>}
+          </div>
+        )}
+      </div>
+      <p className='text-xs text-gray-400 mt-1'>Markdown supported: **bold**, _italic_, lists, [links](https://…) and tables.</p>
+    </div>
+  )
+}
+
+MarkdownEditor.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  placeholder: PropTypes.string
+}
+
+export default MarkdownEditor
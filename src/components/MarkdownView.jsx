@@ -0,0 +1,19 @@
+import PropTypes from 'prop-types'
+import { renderMarkdown } from '../utils/markdown'
+
+// Renders a product description the same way wherever the admin shows it
+const MarkdownView = ({ source, className = '' }) => {
+  return (
+    <div
+      className={`markdown-body ${className}`}
+      dangerouslySetInnerHTML={{ __html: renderMarkdown(source) }}
+    />
+  )
+}
+
+MarkdownView.propTypes = {
+  source: PropTypes.string,
+  className: PropTypes.string
+}
+
+export default MarkdownView
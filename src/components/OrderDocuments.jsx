@@ -0,0 +1,193 @@
+import { useEffect, useRef } from 'react'
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { currency } from '../App'
+import { assets } from '../assets/assets'
+import { describeVariant } from '../utils/variants'
+import { itemUnitPrice } from '../utils/pricing'
+import { customerName, formatAddress, formatOrderDate, orderSubtotal } from '../utils/orders'
+
+const documentTypes = {
+  invoice: 'Invoice',
+  slip: 'Packing Slip'
+}
+
+const orderShape = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  date: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  amount: PropTypes.number.isRequired,
+  paymentMethod: PropTypes.string,
+  payment: PropTypes.bool,
+  address: PropTypes.shape({
+    street: PropTypes.string,
+    phone: PropTypes.string
+  }).isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    quantity: PropTypes.number.isRequired
+  })).isRequired
+})
+
+const DocumentHeader = ({ order, title }) => (
+  <div className='flex justify-between items-start border-b pb-4 mb-4'>
+    <img className='w-32' src={assets.logo} alt="" />
+    <div className='text-right'>
+      <h2 className='text-2xl font-semibold'>{title}</h2>
+      <p>Order #{order._id}</p>
+      <p>{formatOrderDate(order.date)}</p>
+    </div>
+  </div>
+)
+
+const AddressBlock = ({ order, label }) => (
+  <div>
+    <p className='text-xs uppercase text-gray-500 mb-1'>{label}</p>
+    <p className='font-medium'>{customerName(order)}</p>
+    <p>{order.address.street},</p>
+    <p>{formatAddress(order.address)}</p>
+    <p>{order.address.phone}</p>
+  </div>
+)
+
+const PaymentBlock = ({ order }) => (
+  <div className='text-right'>
+    <p className='text-xs uppercase text-gray-500 mb-1'>Payment</p>
+    <p>{order.paymentMethod}</p>
+    <p>{order.payment ? 'Paid' : 'Pending'}</p>
+  </div>
+)
+
+const Invoice = ({ order }) => {
+  const subtotal = orderSubtotal(order)
+
+  return (
+    <>
+      <DocumentHeader order={order} title={documentTypes.invoice} />
+      <div className='flex justify-between mb-6'>
+        <AddressBlock order={order} label='Bill to' />
+        <PaymentBlock order={order} />
+      </div>
+      <table className='w-full mb-4'>
+        <thead>
+          <tr className='border-b text-left'>
+            <th className='py-1'>Item</th>
+            <th className='py-1'>Size</th>
+            <th className='py-1 text-right'>Qty</th>
+            <th className='py-1 text-right'>Unit price</th>
+            <th className='py-1 text-right'>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {order.items.map((item, index) => (
+            <tr key={index} className='border-b'>
+              <td className='py-1'>{item.name}</td>
+              <td className='py-1'>{describeVariant(item)}</td>
+              <td className='py-1 text-right'>{item.quantity}</td>
+              <td className='py-1 text-right'>{currency}{itemUnitPrice(item, order.date).toFixed(2)}</td>
+              <td className='py-1 text-right'>{currency}{(itemUnitPrice(item, order.date) * item.quantity).toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className='flex flex-col items-end gap-1'>
+        <p>Subtotal: {currency}{subtotal.toFixed(2)}</p>
+        <p>Shipping: {currency}{Math.max(order.amount - subtotal, 0).toFixed(2)}</p>
+        <p className='text-lg font-semibold'>Total: {currency}{order.amount}</p>
+      </div>
+    </>
+  )
+}
+
+const PackingSlip = ({ order }) => (
+  <>
+    <DocumentHeader order={order} title={documentTypes.slip} />
+    <div className='flex justify-between mb-6'>
+      <AddressBlock order={order} label='Ship to' />
+      <PaymentBlock order={order} />
+    </div>
+    <table className='w-full mb-4'>
+      <thead>
+        <tr className='border-b text-left'>
+          <th className='py-1 w-8'></th>
+          <th className='py-1'>Item</th>
+          <th className='py-1'>Size</th>
+          <th className='py-1 text-right'>Qty</th>
+        </tr>
+      </thead>
+      <tbody>
+        {order.items.map((item, index) => (
+          <tr key={index} className='border-b'>
+            <td className='py-1'><span className='inline-block w-4 h-4 border border-gray-500'></span></td>
+            <td className='py-1'>{item.name}</td>
+            <td className='py-1'>{describeVariant(item)}</td>
+            <td className='py-1 text-right'>{item.quantity}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <p className='text-right'>{order.items.reduce((sum, item) => sum + item.quantity, 0)} units in total</p>
+  </>
+)
+
+// Renders invoices or packing slips, one page per order, outside the app root and
+// opens the browser's print dialog, where they can also be saved as PDF.
+// `job` is { type: 'invoice' | 'slip', orders }; onDone runs once printing is over.
+const OrderDocuments = ({ job, onDone }) => {
+  const container = useRef(null)
+
+  // Callers pass an inline onDone; a new one shouldn't restart the print job
+  const onDoneRef = useRef(onDone)
+  useEffect(() => {
+    onDoneRef.current = onDone
+  })
+
+  useEffect(() => {
+    if (!job) return
+    let cancelled = false
+    const finish = () => onDoneRef.current()
+    window.addEventListener('afterprint', finish)
+
+    // Print once the logo is loaded so it makes it onto the first page;
+    // an image that fails to load shouldn't block printing
+    const images = Array.from(container.current.querySelectorAll('img'))
+    Promise.all(images.map(image => image.decode().catch(() => {}))).then(() => {
+      if (!cancelled) window.print()
+    })
+
+    return () => {
+      cancelled = true
+      window.removeEventListener('afterprint', finish)
+    }
+  }, [job])
+
+  if (!job) return null
+
+  const Document = job.type === 'invoice' ? Invoice : PackingSlip
+
+  return createPortal(
+    <div ref={container} className='print-documents text-sm text-black'>
+      {job.orders.map(order => (
+        <div key={order._id} className='print-page p-8'>
+          <Document order={order} />
+        </div>
+      ))}
+    </div>,
+    document.body
+  )
+}
+
+DocumentHeader.propTypes = { order: orderShape.isRequired, title: PropTypes.string.isRequired }
+AddressBlock.propTypes = { order: orderShape.isRequired, label: PropTypes.string.isRequired }
+PaymentBlock.propTypes = { order: orderShape.isRequired }
+Invoice.propTypes = { order: orderShape.isRequired }
+PackingSlip.propTypes = { order: orderShape.isRequired }
+
+OrderDocuments.propTypes = {
+  job: PropTypes.shape({
+    type: PropTypes.oneOf(Object.keys(documentTypes)).isRequired,
+    orders: PropTypes.arrayOf(orderShape).isRequired
+  }),
+  onDone: PropTypes.func.isRequired
+}
+
+export default OrderDocuments
@@ -0,0 +1,77 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { toast } from 'react-toastify'
+import { currency } from '../App'
+import { recordPayment, toDateInput } from '../utils/orders'
+
+// Records a payment received outside the checkout, usually cash on delivery
+const PaymentModal = ({ order, token, onClose, onSaved }) => {
+  const [amount, setAmount] = useState(String(order.amount))
+  const [date, setDate] = useState(toDateInput)
+  const [reference, setReference] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const invalid = !(Number(amount) > 0) || !date
+
+  const onSubmit = async (e) => {
+    e.preventDefault()
+    if (invalid) return
+
+    setSaving(true)
+    try {
+      await recordPayment(token, order._id, {
+        amount: Number(amount),
+        date: new Date(`${date}T12:00:00`).toISOString(),
+        reference: reference.trim()
+      })
+      toast.success('Payment recorded')
+      onSaved()
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div onClick={onClose} className='fixed inset-0 bg-black/40 flex items-center justify-center z-50'>
+      <form onSubmit={onSubmit} onClick={(e) => e.stopPropagation()} className='bg-white rounded-lg shadow-lg p-6 w-[90%] max-w-md text-sm text-gray-700'>
+        <div className='flex justify-between items-center mb-2'>
+          <h4 className='text-md font-medium'>Mark as paid</h4>
+          <button type="button" onClick={onClose} className='text-lg'>✕</button>
+        </div>
+        <p className='text-gray-500 mb-3'>Order #{order._id} · {order.paymentMethod} · {currency}{order.amount}</p>
+
+        <label className='block font-medium mb-1'>Amount collected ({currency})</label>
+        <input value={amount} onChange={(e) => setAmount(e.target.value)} className='w-full p-2 mb-3' type="number" min="0" step="0.01" />
+
+        <label className='block font-medium mb-1'>Date received</label>
+        <input value={date} onChange={(e) => setDate(e.target.value)} className='w-full p-2 mb-3' type="date" />
+
+        <label className='block font-medium mb-1'>Reference (optional)</label>
+        <input value={reference} onChange={(e) => setReference(e.target.value)} className='w-full p-2 mb-4' type="text" placeholder='Receipt or courier slip number' />
+
+        <div className='flex justify-end space-x-2'>
+          <button type="button" onClick={onClose} className='px-4 py-2 border border-gray-300 rounded'>Cancel</button>
+          <button type="submit" disabled={invalid || saving} className='px-4 py-2 bg-black text-white rounded disabled:opacity-50'>
+            {saving ? 'Saving...' : 'Record payment'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+PaymentModal.propTypes = {
+  order: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    amount: PropTypes.number.isRequired,
+    paymentMethod: PropTypes.string
+  }).isRequired,
+  token: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired
+}
+
+export default PaymentModal
@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import axios from 'axios'
+import { backendUrl, currency } from '../App'
+import { toast } from 'react-toastify'
+import { Line } from 'react-chartjs-2'
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js'
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend)
+
+// Regular and sale price of one product over time, from the backend's price log
+const PriceHistoryModal = ({ product, token, onClose }) => {
+  const [history, setHistory] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true)
+    try {
+      const response = await axios.post(backendUrl + '/api/product/price-history', { productId: product._id }, { headers: { token } })
+      if (response.data.success) {
+        setHistory([...response.data.history].sort((a, b) => new Date(a.date) - new Date(b.date)))
+      } else {
+        toast.error(response.data.message)
+      }
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [product._id, token])
+
+  useEffect(() => {
+    fetchHistory()
+  }, [fetchHistory])
+
+  const chartData = {
+    labels: history.map(entry => new Date(entry.date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    })),
+    datasets: [
+      {
+        label: 'Regular price',
+        data: history.map(entry => entry.price),
+        borderColor: '#3b82f6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        stepped: 'before'
+      },
+      {
+        label: 'Sale price',
+        data: history.map(entry => entry.salePrice ?? null),
+        borderColor: '#ef4444',
+        backgroundColor: 'rgba(239, 68, 68, 0.1)',
+        stepped: 'before',
+        spanGaps: false
+      }
+    ]
+  }
+
+  const chartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${currency}${context.parsed.y}`
+        }
+      }
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: `Price (${currency})`
+        }
+      }
+    }
+  }
+
+  return (
+    <div onClick={onClose} className='fixed inset-0 bg-black/40 flex items-center justify-center z-50'>
+      <div onClick={(e) => e.stopPropagation()} className='bg-white rounded-lg shadow-lg p-6 w-[90%] max-w-2xl'>
+        <div className='flex justify-between items-center mb-4'>
+          <h4 className='text-md font-medium'>Price history · {product.name}</h4>
+          <button onClick={onClose} className='text-lg'>✕</button>
+        </div>
+        {loading ? (
+          <div className='text-center py-8'>Loading price history...</div>
+        ) : history.length === 0 ? (
+          <div className='flex items-center justify-center h-[200px] bg-gray-50'>
+            <p className='text-gray-500'>No price changes recorded</p>
+          </div>
+        ) : (
+          <Line options={chartOptions} data={chartData} height={300} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+PriceHistoryModal.propTypes = {
+  product: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  token: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default PriceHistoryModal
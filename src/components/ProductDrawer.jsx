@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import axios from 'axios'
+import { backendUrl, currency } from '../App'
+import { toast } from 'react-toastify'
+import MarkdownView from './MarkdownView'
+import { activeSalePrice } from '../utils/pricing'
+import { productStatus, statusInfo } from '../utils/productStatus'
+import { hasStock } from '../utils/stock'
+import { productSales } from '../utils/orders'
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+})
+
+// Review payloads may populate the product or only carry its id
+const reviewProductId = (review) =>
+  review.product && typeof review.product === 'object' ? review.product._id : review.product
+
+// Side drawer with everything about one product, including how it sells and what customers say
+const ProductDrawer = ({ product, token, onClose }) => {
+  const [loading, setLoading] = useState(true)
+  const [sales, setSales] = useState({ units: 0, revenue: 0, orders: 0 })
+  const [reviews, setReviews] = useState([])
+
+  const fetchStats = useCallback(async () => {
+    setLoading(true)
+    try {
+      const [salesTotals, reviewsResponse] = await Promise.all([
+        productSales(token, product._id),
+        axios.get(backendUrl + '/api/review/all', { headers: { token } })
+      ])
+
+      setSales(salesTotals)
+
+      if (reviewsResponse.data.success) {
+        setReviews(reviewsResponse.data.reviews
+          .filter(review => reviewProductId(review) === product._id)
+          .sort((a, b) => new Date(b.date) - new Date(a.date)))
+      } else {
+        toast.error(reviewsResponse.data.message)
+      }
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [product._id, token])
+
+  useEffect(() => {
+    fetchStats()
+  }, [fetchStats])
+
+  useEffect(() => {
+    const onKeyDown = (e) => e.key === 'Escape' && onClose()
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onClose])
+
+  const averageRating = reviews.length
+    ? reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length
+    : 0
+  const sale = activeSalePrice(product)
+  const status = statusInfo(productStatus(product))
+
+  return (
+    <div onClick={onClose} className='fixed inset-0 bg-black/40 z-50 flex justify-end'>
+      <div onClick={(e) => e.stopPropagation()} className='w-full max-w-lg h-full overflow-y-auto bg-white shadow-lg p-6 text-sm text-gray-700'>
+        <div className='flex justify-between items-start mb-4'>
+          <div>
+            <h3 className='text-xl font-semibold'>{product.name}</h3>
+            <p className='text-gray-500'>{product.category} / {product.subCategory}</p>
+          </div>
+          <button onClick={onClose} className='text-lg'>✕</button>
+        </div>
+
+        <div className='flex gap-2 overflow-x-auto mb-4'>
+          {product.image.map((url, index) => (
+            <img key={index} className='w-24 h-24 object-cover rounded border' src={url} alt="" />
+          ))}
+        </div>
+
+        <div className='flex flex-wrap items-center gap-2 mb-4'>
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.badge}`}>{status.label}</span>
+          {product.bestseller && (
+            <span className='px-2 py-0.5 rounded-full text-xs font-medium bg-pink-100 text-pink-800'>Bestseller</span>
+          )}
+          {sale !== null ? (
+            <span>
+              <span className='text-red-600 font-medium'>{currency}{sale}</span>{' '}
+              <span className='text-gray-400 line-through'>{currency}{product.price}</span>
+            </span>
+          ) : (
+            <span className='font-medium'>{currency}{product.price}</span>
+          )}
+        </div>
+
+        <div className='mb-4'>
+          <h4 className='text-xs text-gray-500 uppercase font-medium mb-1'>Sizes</h4>
+          <div className='flex flex-wrap gap-2'>
+            {(product.sizes || []).map(size => (
+              <span key={size} className='px-3 py-1 bg-slate-200'>
+                {size}{hasStock(product) && ` · ${Number(product.stock[size]) || 0}`}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className='mb-6'>
+          <h4 className='text-xs text-gray-500 uppercase font-medium mb-1'>Description</h4>
+          <MarkdownView source={product.description} />
+        </div>
+
+        {loading ? (
+          <div className='text-center py-8'>Loading sales and reviews...</div>
+        ) : (
+          <>
+            <div className='grid grid-cols-3 gap-3 mb-6'>
+              <div className='bg-gray-50 p-3 rounded border-l-4 border-blue-500'>
+                <p className='text-xs text-gray-500 uppercase font-medium'>Units Sold</p>
+                <p className='text-xl font-bold mt-1'>{sales.units}</p>
+              </div>
+              <div className='bg-gray-50 p-3 rounded border-l-4 border-green-500'>
+                <p className='text-xs text-gray-500 uppercase font-medium'>Revenue</p>
+                <p className='text-xl font-bold mt-1'>{currency}{sales.revenue.toFixed(2)}</p>
+              </div>
+              <div className='bg-gray-50 p-3 rounded border-l-4 border-yellow-500'>
+                <p className='text-xs text-gray-500 uppercase font-medium'>Rating</p>
+                <p className='text-xl font-bold mt-1'>{reviews.length ? averageRating.toFixed(1) : '-'}</p>
+                <p className='text-xs text-gray-500'>{reviews.length} reviews</p>
+              </div>
+            </div>
+
+            <h4 className='text-xs text-gray-500 uppercase font-medium mb-2'>Reviews</h4>
+            {reviews.length === 0 ? (
+              <p className='text-gray-500'>No reviews yet</p>
+            ) : (
+              <ul className='divide-y divide-gray-200'>
+                {reviews.map(review => (
+                  <li key={review._id} className='py-2'>
+                    <div className='flex justify-between'>
+                      <span className='font-medium'>{review.user?.name || 'Unknown User'}</span>
+                      <span className='text-yellow-500'>
+                        {'★'.repeat(review.rating)}<span className='text-gray-300'>{'★'.repeat(5 - review.rating)}</span>
+                      </span>
+                    </div>
+                    <p>{review.comment}</p>
+                    <p className='text-xs text-gray-500'>{formatDate(review.date)}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+ProductDrawer.propTypes = {
+  product: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    category: PropTypes.string,
+    subCategory: PropTypes.string,
+    price: PropTypes.number,
+    image: PropTypes.arrayOf(PropTypes.string),
+    sizes: PropTypes.arrayOf(PropTypes.string),
+    stock: PropTypes.object,
+    bestseller: PropTypes.bool
+  }).isRequired,
+  token: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default ProductDrawer
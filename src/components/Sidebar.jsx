@@ -17,11 +17,21 @@ const Sidebar = () => {
                 <p className='hidden md:block'>Add Items</p>
             </NavLink>
 
+            <NavLink className='flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-l' to="/import">
+                <img className='w-5 h-5' src={assets.add_icon} alt="" />
+                <p className='hidden md:block'>Import Items</p>
+            </NavLink>
+
             <NavLink className='flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-l' to="/list">
                 <img className='w-5 h-5' src={assets.order_icon} alt="" />
                 <p className='hidden md:block'>List Items</p>
             </NavLink>
 
+            <NavLink className='flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-l' to="/categories">
+                <img className='w-5 h-5' src={assets.order_icon} alt="" />
+                <p className='hidden md:block'>Categories</p>
+            </NavLink>
+
             <NavLink className='flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-l' to="/orders">
                 <img className='w-5 h-5' src={assets.order_icon} alt="" />
                 <p className='hidden md:block'>Orders</p>
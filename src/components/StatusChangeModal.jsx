@@ -0,0 +1,48 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+
+// Asks for the reason behind a status change that leaves the regular flow
+const StatusChangeModal = ({ title, description, onConfirm, onClose }) => {
+  const [reason, setReason] = useState('')
+
+  const onSubmit = (e) => {
+    e.preventDefault()
+    if (reason.trim()) {
+      onConfirm(reason.trim())
+    }
+  }
+
+  return (
+    <div onClick={onClose} className='fixed inset-0 bg-black/40 flex items-center justify-center z-50'>
+      <form onSubmit={onSubmit} onClick={(e) => e.stopPropagation()} className='bg-white rounded-lg shadow-lg p-6 w-[90%] max-w-md text-sm text-gray-700'>
+        <div className='flex justify-between items-center mb-2'>
+          <h4 className='text-md font-medium'>{title}</h4>
+          <button type="button" onClick={onClose} className='text-lg'>✕</button>
+        </div>
+        {description && <p className='text-gray-500 mb-3'>{description}</p>}
+        <label className='block font-medium mb-1'>Reason</label>
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          className='w-full p-2 border rounded mb-4'
+          rows={3}
+          placeholder='Recorded in the order history'
+          autoFocus
+        />
+        <div className='flex justify-end space-x-2'>
+          <button type="button" onClick={onClose} className='px-4 py-2 border border-gray-300 rounded'>Cancel</button>
+          <button type="submit" disabled={!reason.trim()} className='px-4 py-2 bg-black text-white rounded disabled:opacity-50'>Confirm</button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+StatusChangeModal.propTypes = {
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  onConfirm: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default StatusChangeModal
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import StatusChangeModal from './StatusChangeModal'
+import { describeTransition, nextStatuses, orderStatuses, overrideStatuses, requiresReason } from '../utils/orderStatus'
+
+// Offers only the moves the order lifecycle allows. Corrections, cancellations
+// and returns are confirmed with a reason before onChange(status, reason) runs.
+const StatusSelect = ({ status, onChange, className }) => {
+  const [pending, setPending] = useState(null)
+
+  const next = nextStatuses(status)
+  const overrides = overrideStatuses(status)
+
+  const onSelect = (e) => {
+    const target = e.target.value
+    if (target === status) return
+    if (requiresReason(status, target)) {
+      setPending(target)
+    } else {
+      onChange(target)
+    }
+  }
+
+  return (
+    <>
+      <select onChange={onSelect} value={status} disabled={!next.length && !overrides.length} className={className}>
+        <option value={status}>{status}</option>
+        {next.map(target => <option key={target} value={target}>{target}</option>)}
+        {overrides.length > 0 && (
+          <optgroup label="Corrections (need a reason)">
+            {overrides.map(target => <option key={target} value={target}>{target}</option>)}
+          </optgroup>
+        )}
+      </select>
+      {pending && (
+        <StatusChangeModal
+          title={describeTransition(status, pending)}
+          description={`The order moves from "${status}" to "${pending}".`}
+          onConfirm={(reason) => {
+            const target = pending
+            setPending(null)
+            onChange(target, reason)
+          }}
+          onClose={() => setPending(null)}
+        />
+      )}
+    </>
+  )
+}
+
+StatusSelect.propTypes = {
+  status: PropTypes.oneOf(orderStatuses).isRequired,
+  onChange: PropTypes.func.isRequired,
+  className: PropTypes.string
+}
+
+export default StatusSelect
@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { currency } from '../App'
+import { emptyVariant, suggestSku, variantKey } from '../utils/variants'
+
+// Color × size grid; every cell has its own SKU, price override and stock
+const VariantsEditor = ({ name, price, sizes, colors, onColorsChange, variants, onVariantsChange }) => {
+
+  const [newColor, setNewColor] = useState('')
+
+  const addColor = () => {
+    const color = newColor.trim()
+    if (color && !colors.some(item => item.toLowerCase() === color.toLowerCase())) {
+      onColorsChange([...colors, color])
+    }
+    setNewColor('')
+  }
+
+  const removeColor = (color) => {
+    onColorsChange(colors.filter(item => item !== color))
+  }
+
+  const updateCell = (color, size, field, value) => {
+    const key = variantKey(color, size)
+    onVariantsChange({ ...variants, [key]: { ...(variants[key] || emptyVariant), [field]: value } })
+  }
+
+  // Fills in SKUs for cells that don't have one yet
+  const generateSkus = () => {
+    const next = { ...variants }
+    colors.forEach(color => sizes.forEach(size => {
+      const key = variantKey(color, size)
+      const cell = next[key] || emptyVariant
+      if (!cell.sku) {
+        next[key] = { ...cell, sku: suggestSku(name, color, size) }
+      }
+    }))
+    onVariantsChange(next)
+  }
+
+  return (
+    <div className='w-full'>
+      <p className='mb-2'>Colors</p>
+      <div className='flex flex-wrap items-center gap-2 mb-3'>
+        {colors.map(color => (
+          <span key={color} className='flex items-center gap-2 bg-slate-200 px-3 py-1 text-sm'>
+            {color}
+            <button type="button" onClick={() => removeColor(color)} className='text-xs'>✕</button>
+          </span>
+        ))}
+        <input
+          value={newColor}
+          onChange={(e) => setNewColor(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault()
+              addColor()
+            }
+          }}
+          className='px-3 py-1 w-32'
+          type="text"
+          placeholder='e.g. Red'
+        />
+        <button type="button" onClick={addColor} className='px-3 py-1 bg-black text-white text-sm'>Add color</button>
+      </div>
+
+      {colors.length > 0 && sizes.length === 0 && (
+        <p className='text-sm text-gray-500'>Select sizes to build the variant grid.</p>
+      )}
+
+      {colors.length > 0 && sizes.length > 0 && (
+        <>
+          <div className='flex justify-between items-center max-w-[700px] mb-2'>
+            <p className='text-sm text-gray-500'>Leave price empty to use the product price ({currency}{price || 0}).</p>
+            <button type="button" onClick={generateSkus} className='text-sm text-blue-600 hover:underline'>Generate SKUs</button>
+          </div>
+          <div className='overflow-x-auto max-w-[700px]'>
+            <table className='text-sm border bg-white'>
+              <thead>
+                <tr className='bg-gray-100'>
+                  <th className='px-2 py-1 text-left'>Color</th>
+                  {sizes.map(size => <th key={size} className='px-2 py-1 text-left'>{size}</th>)}
+                </tr>
+              </thead>
+              <tbody className='divide-y divide-gray-200'>
+                {colors.map(color => (
+                  <tr key={color}>
+                    <td className='px-2 py-1 font-medium'>{color}</td>
+                    {sizes.map(size => {
+                      const cell = variants[variantKey(color, size)] || emptyVariant
+                      return (
+                        <td key={size} className='px-2 py-1 align-top'>
+                          <div className='flex flex-col gap-1 w-28'>
+                            <input onChange={(e) => updateCell(color, size, 'sku', e.target.value)} value={cell.sku} className='px-2 py-0.5 border' type="text" placeholder='SKU' />
+                            <input onChange={(e) => updateCell(color, size, 'price', e.target.value)} value={cell.price} className='px-2 py-0.5 border' type="number" min="0" placeholder={`${currency}${price || 0}`} />
+                            <input onChange={(e) => updateCell(color, size, 'stock', e.target.value)} value={cell.stock} className='px-2 py-0.5 border' type="number" min="0" placeholder='Stock' />
+                          </div>
+                        </td>
+                      )
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+VariantsEditor.propTypes = {
+  name: PropTypes.string.isRequired,
+  price: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  sizes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  colors: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onColorsChange: PropTypes.func.isRequired,
+  variants: PropTypes.objectOf(PropTypes.shape({
+    sku: PropTypes.string,
+    price: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    stock: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  })).isRequired,
+  onVariantsChange: PropTypes.func.isRequired
+}
+
+export default VariantsEditor
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { backendUrl } from '../App'
+import { toast } from 'react-toastify'
+
+// Loads the category taxonomy (archived entries included) from the backend
+const useCategories = () => {
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get(backendUrl + '/api/category/list')
+      if (response.data.success) {
+        setCategories(response.data.categories)
+      } else {
+        toast.error(response.data.message)
+      }
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchCategories()
+  }, [])
+
+  return { categories, loading, fetchCategories }
+}
+
+export default useCategories
@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react'
+import { newDraftId, saveDraft } from '../utils/draftStore'
+
+const AUTOSAVE_DELAY = 1000
+
+// Saves `values` and `images` to the current draft a moment after they stop changing.
+// No draft is created until `hasContent` is true, so an untouched form leaves nothing behind.
+const useDraftAutosave = ({ enabled, values, images, hasContent }) => {
+  const [draftId, setDraftId] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+  const serialized = JSON.stringify(values)
+
+  useEffect(() => {
+    if (!enabled || (!draftId && !hasContent)) return
+
+    const timer = setTimeout(async () => {
+      const id = draftId || newDraftId()
+      try {
+        await saveDraft({ id, values: JSON.parse(serialized), images: images.map(item => ({ source: item.source })) })
+        if (!draftId) setDraftId(id)
+        setSavedAt(Date.now())
+      } catch (error) {
+        console.log(error)
+      }
+    }, AUTOSAVE_DELAY)
+
+    return () => clearTimeout(timer)
+  }, [enabled, draftId, hasContent, serialized, images])
+
+  return { draftId, setDraftId, savedAt, setSavedAt }
+}
+
+export default useDraftAutosave
@@ -1,125 +1,412 @@
-import React, { useState } from 'react'
-import {assets} from '../assets/assets'
+import React, { useCallback, useEffect, useRef, useState } from 'react'
 import axios from 'axios'
 import { backendUrl } from '../App'
 import { toast } from 'react-toastify'
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom'
+import { sizeOptions, MAX_IMAGES } from '../utils/productOptions'
+import ImageManager from '../components/ImageManager'
+import { makeImageItem } from '../utils/images'
+import VariantsEditor from '../components/VariantsEditor'
+import MarkdownEditor from '../components/MarkdownEditor'
+import { renderMarkdown } from '../utils/markdown'
+import { serializeVariants, stockFromVariants, variantsFromProduct } from '../utils/variants'
+import useCategories from '../hooks/useCategories'
+import { categoryNames, subCategoryNames, withCurrent } from '../utils/categories'
+import useDraftAutosave from '../hooks/useDraftAutosave'
+import DraftsPanel from '../components/DraftsPanel'
+import { deleteDraft, listDrafts } from '../utils/draftStore'
+import { isValid, serverFieldErrors, validateProduct } from '../utils/productSchema'
+import { productStatus, productStatuses, toDateTimeLocal } from '../utils/productStatus'
 
 const Add = ({token}) => {
 
-  const [image1,setImage1] = useState(false)
-  const [image2,setImage2] = useState(false)
-  const [image3,setImage3] = useState(false)
-  const [image4,setImage4] = useState(false)
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const isEdit = Boolean(id)
+  // /add?from=<id> starts a new product as a copy of an existing one
+  const [searchParams] = useSearchParams()
+  const sourceId = isEdit ? null : searchParams.get('from')
+
+  const [images, setImages] = useState([])
 
    const [name, setName] = useState("");
    const [description, setDescription] = useState("");
    const [price, setPrice] = useState("");
-   const [category, setCategory] = useState("Men");
-   const [subCategory, setSubCategory] = useState("Topwear");
+   const [category, setCategory] = useState("");
+   const [subCategory, setSubCategory] = useState("");
    const [bestseller, setBestseller] = useState(false);
    const [sizes, setSizes] = useState([]);
+   const [stock, setStock] = useState({});
+   const [colors, setColors] = useState([]);
+   const [variants, setVariants] = useState({});
+   const [status, setStatus] = useState("active");
+   const [salePrice, setSalePrice] = useState("");
+   const [saleStart, setSaleStart] = useState("");
+   const [saleEnd, setSaleEnd] = useState("");
+   const [publishAt, setPublishAt] = useState("");
+
+   const orderedSizes = sizeOptions.filter(size => sizes.includes(size))
+
+   const [original, setOriginal] = useState(null)
+   const [submitted, setSubmitted] = useState(false)
+   const [serverErrors, setServerErrors] = useState({})
+
+   const formValues = { name, description, price, category, subCategory, bestseller, sizes, stock, colors, variants, status, publishAt, salePrice, saleStart, saleEnd }
+   const serializedValues = JSON.stringify(formValues)
+
+   const applyValues = useCallback((values) => {
+    setName(values.name)
+    setDescription(values.description)
+    setPrice(values.price)
+    setCategory(values.category)
+    setSubCategory(values.subCategory)
+    setBestseller(values.bestseller)
+    setSizes(values.sizes || [])
+    setStock(values.stock || {})
+    setColors(values.colors || [])
+    setVariants(values.variants || {})
+    setStatus(productStatus(values))
+    setPublishAt(toDateTimeLocal(values.publishAt))
+    setSalePrice(values.salePrice ?? '')
+    setSaleStart(toDateTimeLocal(values.saleStart))
+    setSaleEnd(toDateTimeLocal(values.saleEnd))
+   }, [])
+
+   // Drafts are only kept for new products
+   const [drafts, setDrafts] = useState([])
+   const [showResumePrompt, setShowResumePrompt] = useState(false)
+   const [showDrafts, setShowDrafts] = useState(false)
+   // A duplicate starts out filled in, so it only counts as content once the admin changes it
+   const [prefilled, setPrefilled] = useState(null)
+   const prefillPending = useRef(false)
+   const snapshot = serializedValues + images.map(item => item.id).join()
+   useEffect(() => {
+    if (prefillPending.current) {
+      prefillPending.current = false
+      setPrefilled(snapshot)
+    }
+   }, [snapshot])
+
+   const { draftId, setDraftId, savedAt, setSavedAt } = useDraftAutosave({
+    enabled: !isEdit,
+    values: formValues,
+    images,
+    hasContent: Boolean(name || description || price || images.length) &&
+      (!sourceId || (prefilled !== null && snapshot !== prefilled))
+   })
+
+   const refreshDrafts = useCallback(async () => {
+    try {
+      const saved = await listDrafts()
+      setDrafts(saved)
+      return saved
+    } catch (error) {
+      console.log(error)
+      return []
+    }
+   }, [])
+
+   const resumeDraft = (draft) => {
+    applyValues(draft.values)
+    setImages(draft.images.map(image => makeImageItem(image.source)))
+    setDraftId(draft.id)
+    setSavedAt(draft.updatedAt)
+    setShowResumePrompt(false)
+    setShowDrafts(false)
+   }
+
+   const removeDraft = async (draftToRemove) => {
+    try {
+      await deleteDraft(draftToRemove)
+    } catch (error) {
+      console.log(error)
+    }
+    if (draftToRemove === draftId) {
+      setDraftId(null)
+      setSavedAt(null)
+    }
+    const saved = await refreshDrafts()
+    if (!saved.length) setShowResumePrompt(false)
+   }
+
+   useEffect(() => {
+    if (!isEdit) {
+      refreshDrafts().then(saved => setShowResumePrompt(saved.length > 0 && !sourceId))
+    }
+   }, [isEdit, sourceId, refreshDrafts])
+
+   const { categories } = useCategories()
+
+   // Client errors show once a submit has been tried; server errors until the form changes
+   const errors = {
+    ...validateProduct({
+      ...formValues,
+      stock: colors.length ? {} : stock,
+      variants: serializeVariants(colors, orderedSizes, variants),
+      images: images.map(item => item.source)
+    }, { categories, current: original }),
+    ...serverErrors
+   }
+   const formIsValid = isValid(errors)
+   const shownErrors = submitted ? errors : serverErrors
+
+   const fieldError = (field) => shownErrors[field] && (
+    <p className='text-xs text-red-600 mt-1'>{shownErrors[field]}</p>
+   )
+
+   useEffect(() => {
+    setServerErrors({})
+   }, [serializedValues, images])
+
+   const categoryChoices = withCurrent(categoryNames(categories), category)
+   const subCategoryChoices = withCurrent(subCategoryNames(categories, category), subCategory)
+
+   // Start a new product in the first category once the taxonomy has loaded
+   useEffect(() => {
+    if (!category && categories.length) {
+      const first = categoryNames(categories)[0] || ''
+      setCategory(first)
+      setSubCategory(subCategoryNames(categories, first)[0] || '')
+    }
+   }, [categories, category])
+
+   const onCategoryChange = (value) => {
+    setCategory(value)
+    const options = subCategoryNames(categories, value)
+    if (!options.includes(subCategory)) {
+      setSubCategory(options[0] || '')
+    }
+   }
+
+   const fetchProduct = useCallback(async (productId, duplicate) => {
+    try {
+
+      const response = await axios.post(backendUrl + "/api/product/single", { productId })
+
+      if (response.data.success) {
+        const product = response.data.product
+        if (duplicate) {
+          // SKUs have to stay unique, so a copy starts without them
+          const variants = variantsFromProduct(product)
+          Object.keys(variants).forEach(key => { variants[key] = { ...variants[key], sku: '' } })
+          applyValues({ ...product, name: `${product.name} (Copy)`, variants })
+          prefillPending.current = true
+        } else {
+          setOriginal(product)
+          applyValues({ ...product, variants: variantsFromProduct(product) })
+        }
+        setImages((product.image || []).map(makeImageItem))
+      } else {
+        toast.error(response.data.message)
+      }
+
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message)
+    }
+   }, [applyValues])
+
+   useEffect(() => {
+    if (isEdit) {
+      fetchProduct(id, false)
+    } else if (sourceId) {
+      fetchProduct(sourceId, true)
+    }
+   }, [id, isEdit, sourceId, fetchProduct])
 
    const onSubmitHandler = async (e) => {
     e.preventDefault();
 
+    setSubmitted(true)
+    if (!formIsValid) {
+      toast.error('Please fix the highlighted fields')
+      return
+    }
+
     try {
       
       const formData = new FormData()
 
       formData.append("name",name)
       formData.append("description",description)
+      // Sanitized HTML so the storefront can show the description without its own Markdown parser
+      formData.append("descriptionHtml",renderMarkdown(description))
       formData.append("price",price)
+      // The sale window only means something with a sale price; the date inputs
+      // are hidden but keep their values when the price is cleared
+      const hasSale = salePrice !== ''
+      formData.append("salePrice",salePrice)
+      formData.append("saleStart",hasSale && saleStart ? new Date(saleStart).toISOString() : '')
+      formData.append("saleEnd",hasSale && saleEnd ? new Date(saleEnd).toISOString() : '')
       formData.append("category",category)
       formData.append("subCategory",subCategory)
       formData.append("bestseller",bestseller)
       formData.append("sizes",JSON.stringify(sizes))
+      formData.append("status",status)
+      formData.append("publishAt",status === 'scheduled' ? new Date(publishAt).toISOString() : '')
+
+      // Units on hand for every size on offer. With colors the count comes from the variant grid.
+      let stockBySize = {}
+      if (colors.length) {
+        stockBySize = stockFromVariants(colors, orderedSizes, variants)
+      } else {
+        sizes.forEach(size => { stockBySize[size] = Number(stock[size]) || 0 })
+      }
+      formData.append("stock",JSON.stringify(stockBySize))
+      formData.append("colors",JSON.stringify(colors))
+      formData.append("variants",JSON.stringify(serializeVariants(colors, orderedSizes, variants)))
+
+      // In display order, primary first. Already uploaded images are sent back
+      // as their URL so the backend keeps them in place
+      images.forEach((item, index) => formData.append(`image${index + 1}`, item.source))
 
-      image1 && formData.append("image1",image1)
-      image2 && formData.append("image2",image2)
-      image3 && formData.append("image3",image3)
-      image4 && formData.append("image4",image4)
+      isEdit && formData.append("id",id)
 
-      const response = await axios.post(backendUrl + "/api/product/add",formData,{headers:{token}})
+      const endpoint = isEdit ? "/api/product/update" : "/api/product/add"
+      const response = await axios.post(backendUrl + endpoint,formData,{headers:{token}})
 
       if (response.data.success) {
         toast.success(response.data.message)
+        if (isEdit) {
+          navigate('/list')
+          return
+        }
         setName('')
         setDescription('')
-        setImage1(false)
-        setImage2(false)
-        setImage3(false)
-        setImage4(false)
+        setImages([])
         setPrice('')
+        setSalePrice('')
+        setSaleStart('')
+        setSaleEnd('')
+        setSizes([])
+        setStock({})
+        setColors([])
+        setVariants({})
+        setSubmitted(false)
+        if (draftId) {
+          await removeDraft(draftId)
+        }
       } else {
+        setServerErrors(serverFieldErrors(response.data))
         toast.error(response.data.message)
       }
 
     } catch (error) {
       console.log(error);
-      toast.error(error.message)
+      if (error.response) {
+        setServerErrors(serverFieldErrors(error.response.data))
+      }
+      toast.error(error.response?.data?.message || error.message)
     }
    }
 
   return (
-    <form onSubmit={onSubmitHandler} className='flex flex-col w-full items-start gap-3'>
-        <div>
-          <p className='mb-2'>Upload Image</p>
+    <form onSubmit={onSubmitHandler} noValidate className='flex flex-col w-full items-start gap-3'>
+        {!isEdit && showResumePrompt && drafts.length > 0 && !draftId && (
+          <div className='w-full max-w-[700px] flex flex-wrap items-center gap-3 bg-yellow-50 border border-yellow-200 p-3 rounded text-sm'>
+            <span className='flex-1'>
+              You have {drafts.length === 1 ? 'an unsaved draft' : `${drafts.length} unsaved drafts`}. Resume &quot;{drafts[0].values.name || 'Untitled product'}&quot;?
+            </span>
+            <button type="button" onClick={() => resumeDraft(drafts[0])} className='px-3 py-1 bg-black text-white rounded'>Resume draft</button>
+            {drafts.length > 1 && (
+              <button type="button" onClick={() => { setShowDrafts(true); setShowResumePrompt(false) }} className='hover:underline'>View all</button>
+            )}
+            <button type="button" onClick={() => setShowResumePrompt(false)} className='hover:underline'>Start fresh</button>
+          </div>
+        )}
 
-          <div className='flex gap-2'>
-            <label htmlFor="image1">
-              <img className='w-20' src={!image1 ? assets.upload_area : URL.createObjectURL(image1)} alt="" />
-              <input onChange={(e)=>setImage1(e.target.files[0])} type="file" id="image1" hidden/>
-            </label>
-            <label htmlFor="image2">
-              <img className='w-20' src={!image2 ? assets.upload_area : URL.createObjectURL(image2)} alt="" />
-              <input onChange={(e)=>setImage2(e.target.files[0])} type="file" id="image2" hidden/>
-            </label>
-            <label htmlFor="image3">
-              <img className='w-20' src={!image3 ? assets.upload_area : URL.createObjectURL(image3)} alt="" />
-              <input onChange={(e)=>setImage3(e.target.files[0])} type="file" id="image3" hidden/>
-            </label>
-            <label htmlFor="image4">
-              <img className='w-20' src={!image4 ? assets.upload_area : URL.createObjectURL(image4)} alt="" />
-              <input onChange={(e)=>setImage4(e.target.files[0])} type="file" id="image4" hidden/>
-            </label>
+        {!isEdit && (
+          <div className='w-full max-w-[700px] flex justify-between items-center text-sm text-gray-500'>
+            <span>{savedAt ? `Draft saved ${new Date(savedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}` : 'Changes are saved as a draft on this device'}</span>
+            <button
+              type="button"
+              onClick={() => {
+                refreshDrafts()
+                setShowDrafts(prev => !prev)
+              }}
+              className='text-blue-600 hover:underline'
+            >
+              Drafts
+            </button>
           </div>
+        )}
+
+        {showDrafts && (
+          <DraftsPanel
+            drafts={drafts}
+            currentId={draftId}
+            onResume={resumeDraft}
+            onDelete={removeDraft}
+            onClose={() => setShowDrafts(false)}
+          />
+        )}
+
+        <div className='w-full'>
+          <p className='mb-2'>Upload Image</p>
+          <ImageManager images={images} onChange={setImages} max={MAX_IMAGES} />
+          {fieldError('images')}
         </div>
 
         <div className='w-full'>
           <p className='mb-2'>Product name</p>
           <input onChange={(e)=>setName(e.target.value)} value={name} className='w-full max-w-[500px] px-3 py-2' type="text" placeholder='Type here' required/>
+          {fieldError('name')}
         </div>
 
         <div className='w-full'>
           <p className='mb-2'>Product description</p>
-          <textarea onChange={(e)=>setDescription(e.target.value)} value={description} className='w-full max-w-[500px] px-3 py-2' type="text" placeholder='Write content here' required/>
+          <div className='max-w-[900px]'>
+            <MarkdownEditor value={description} onChange={setDescription} placeholder='Write content here' />
+          </div>
+          {fieldError('description')}
         </div>
 
         <div className='flex flex-col sm:flex-row gap-2 w-full sm:gap-8'>
 
             <div>
               <p className='mb-2'>Product category</p>
-              <select onChange={(e) => setCategory(e.target.value)} className='w-full px-3 py-2'>
-                  <option value="Men">Men</option>
-                  <option value="Women">Women</option>
-                  <option value="Kids">Kids</option>
+              <select onChange={(e) => onCategoryChange(e.target.value)} value={category} className='w-full px-3 py-2'>
+                  {categoryChoices.map(option => <option key={option} value={option}>{option}</option>)}
               </select>
+              {fieldError('category')}
             </div>
 
             <div>
               <p className='mb-2'>Sub category</p>
-              <select onChange={(e) => setSubCategory(e.target.value)} className='w-full px-3 py-2'>
-                  <option value="Topwear">Topwear</option>
-                  <option value="Bottomwear">Bottomwear</option>
-                  <option value="Winterwear">Winterwear</option>
+              <select onChange={(e) => setSubCategory(e.target.value)} value={subCategory} className='w-full px-3 py-2'>
+                  {subCategoryChoices.map(option => <option key={option} value={option}>{option}</option>)}
               </select>
+              {fieldError('subCategory')}
             </div>
 
             <div>
               <p className='mb-2'>Product Price</p>
-              <input onChange={(e) => setPrice(e.target.value)} value={price} className='w-full px-3 py-2 sm:w-[120px]' type="Number" placeholder='25' />
+              <input onChange={(e) => setPrice(e.target.value)} value={price} className='w-full px-3 py-2 sm:w-[120px]' type="Number" min="0" step="0.01" placeholder='25' required />
+              {fieldError('price')}
+            </div>
+
+        </div>
+
+        <div className='flex flex-col sm:flex-row gap-2 w-full sm:gap-8'>
+            <div>
+              <p className='mb-2'>Sale price <span className='text-xs text-gray-400'>(optional)</span></p>
+              <input onChange={(e) => setSalePrice(e.target.value)} value={salePrice} className='w-full px-3 py-2 sm:w-[120px]' type="Number" min="0" step="0.01" placeholder='20' />
+              {fieldError('salePrice')}
             </div>
 
+            {salePrice !== '' && (
+              <>
+                <div>
+                  <p className='mb-2'>Sale starts <span className='text-xs text-gray-400'>(optional)</span></p>
+                  <input onChange={(e) => setSaleStart(e.target.value)} value={saleStart} className='w-full px-3 py-2' type="datetime-local" />
+                </div>
+                <div>
+                  <p className='mb-2'>Sale ends <span className='text-xs text-gray-400'>(optional)</span></p>
+                  <input onChange={(e) => setSaleEnd(e.target.value)} value={saleEnd} className='w-full px-3 py-2' type="datetime-local" />
+                  {fieldError('saleEnd')}
+                </div>
+              </>
+            )}
         </div>
 
         <div>
@@ -145,14 +432,59 @@ const Add = ({token}) => {
               <p className={`${sizes.includes("XXL") ? "bg-pink-100" : "bg-slate-200" } px-3 py-1 cursor-pointer`}>XXL</p>
             </div>
           </div>
+          {fieldError('sizes')}
         </div>
 
+        {sizes.length > 0 && colors.length === 0 && (
+          <div>
+            <p className='mb-2'>Stock per size</p>
+            <div className='flex flex-wrap gap-3'>
+              {orderedSizes.map(size => (
+                <div key={size} className='flex items-center gap-1'>
+                  <span className='text-sm w-8'>{size}</span>
+                  <input onChange={(e) => setStock(prev => ({ ...prev, [size]: e.target.value }))} value={stock[size] ?? ''} className='w-20 px-2 py-1' type="number" min="0" placeholder='0' />
+                </div>
+              ))}
+            </div>
+            {fieldError('stock')}
+          </div>
+        )}
+
+        <VariantsEditor
+          name={name}
+          price={price}
+          sizes={orderedSizes}
+          colors={colors}
+          onColorsChange={setColors}
+          variants={variants}
+          onVariantsChange={setVariants}
+        />
+        {fieldError('variants')}
+
         <div className='flex gap-2 mt-2'>
           <input onChange={() => setBestseller(prev => !prev)} checked={bestseller} type="checkbox" id='bestseller' />
           <label className='cursor-pointer' htmlFor="bestseller">Add to bestseller</label>
         </div>
 
-        <button type="submit" className='w-28 py-3 mt-4 bg-black text-white'>ADD</button>
+        <div className='flex flex-col sm:flex-row gap-2 w-full sm:gap-8'>
+          <div>
+            <p className='mb-2'>Status</p>
+            <select onChange={(e) => setStatus(e.target.value)} value={status} className='w-full px-3 py-2'>
+              {productStatuses.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            {fieldError('status')}
+          </div>
+
+          {status === 'scheduled' && (
+            <div>
+              <p className='mb-2'>Publish at</p>
+              <input onChange={(e) => setPublishAt(e.target.value)} value={publishAt} className='w-full px-3 py-2' type="datetime-local" required />
+              {fieldError('publishAt')}
+            </div>
+          )}
+        </div>
+
+        <button type="submit" disabled={submitted && !formIsValid} className='w-28 py-3 mt-4 bg-black text-white disabled:opacity-50'>{isEdit ? 'UPDATE' : 'ADD'}</button>
 
     </form>
   )
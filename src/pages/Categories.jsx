@@ -0,0 +1,171 @@
+import { useState } from 'react'
+import axios from 'axios'
+import PropTypes from 'prop-types'
+import { backendUrl } from '../App'
+import { toast } from 'react-toastify'
+import useCategories from '../hooks/useCategories'
+
+// Rename, reorder and archive controls for one level of the taxonomy.
+// `parent` is the category when the items are its subcategories.
+const TaxonomyList = ({ items, parent, onAction, children }) => {
+  const [editingId, setEditingId] = useState(null)
+  const [editName, setEditName] = useState('')
+  const [newName, setNewName] = useState('')
+
+  const parentId = parent ? parent._id : undefined
+  const label = parent ? 'sub category' : 'category'
+
+  const move = (index, offset) => {
+    const ids = items.map(item => item._id)
+    const [moved] = ids.splice(index, 1)
+    ids.splice(index + offset, 0, moved)
+    onAction('/api/category/reorder', { ids, parentId })
+  }
+
+  const saveRename = async (item) => {
+    const name = editName.trim()
+    if (name && name !== item.name) {
+      const renamed = await onAction('/api/category/rename', { id: item._id, name, parentId })
+      if (!renamed) return
+    }
+    setEditingId(null)
+  }
+
+  const addItem = async (e) => {
+    e.preventDefault()
+    const name = newName.trim()
+    if (!name) return
+    if (await onAction('/api/category/add', { name, parentId })) {
+      setNewName('')
+    }
+  }
+
+  return (
+    <div className='flex flex-col gap-2'>
+      {items.map((item, index) => (
+        <div key={item._id} className={`border rounded ${item.archived ? 'bg-gray-100 text-gray-400' : 'bg-white'}`}>
+          <div className='flex items-center gap-3 px-3 py-2 text-sm'>
+            <div className='flex flex-col text-xs'>
+              <button disabled={index === 0} onClick={() => move(index, -1)} className='disabled:opacity-30'>▲</button>
+              <button disabled={index === items.length - 1} onClick={() => move(index, 1)} className='disabled:opacity-30'>▼</button>
+            </div>
+
+            {editingId === item._id ? (
+              <input
+                autoFocus
+                value={editName}
+                onChange={(e) => setEditName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') saveRename(item)
+                  if (e.key === 'Escape') setEditingId(null)
+                }}
+                className='flex-1 px-2 py-1 border rounded'
+              />
+            ) : (
+              <p className='flex-1 font-medium'>
+                {item.name}
+                {item.archived && <span className='ml-2 text-xs uppercase'>Archived</span>}
+              </p>
+            )}
+
+            {editingId === item._id ? (
+              <>
+                <button onClick={() => saveRename(item)} className='text-blue-600 hover:underline'>Save</button>
+                <button onClick={() => setEditingId(null)} className='hover:underline'>Cancel</button>
+              </>
+            ) : (
+              <button
+                onClick={() => {
+                  setEditingId(item._id)
+                  setEditName(item.name)
+                }}
+                className='text-blue-600 hover:underline'
+              >
+                Rename
+              </button>
+            )}
+            <button
+              onClick={() => onAction('/api/category/archive', { id: item._id, parentId, archived: !item.archived })}
+              className={item.archived ? 'text-green-600 hover:underline' : 'text-red-600 hover:underline'}
+            >
+              {item.archived ? 'Restore' : 'Archive'}
+            </button>
+          </div>
+          {children && children(item)}
+        </div>
+      ))}
+
+      <form onSubmit={addItem} className='flex gap-2 text-sm'>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={`New ${label}`}
+          className='flex-1 max-w-[300px] px-3 py-1 border rounded'
+        />
+        <button type='submit' className='px-4 py-1 bg-black text-white rounded'>Add</button>
+      </form>
+    </div>
+  )
+}
+
+const taxonomyItem = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  archived: PropTypes.bool
+})
+
+TaxonomyList.propTypes = {
+  items: PropTypes.arrayOf(taxonomyItem).isRequired,
+  parent: taxonomyItem,
+  onAction: PropTypes.func.isRequired,
+  children: PropTypes.func
+}
+
+const Categories = ({ token }) => {
+  const { categories, loading, fetchCategories } = useCategories()
+
+  // Every change is saved right away; the backend renames products along with their category
+  const onAction = async (endpoint, payload) => {
+    try {
+      const response = await axios.post(backendUrl + endpoint, payload, { headers: { token } })
+      if (response.data.success) {
+        toast.success(response.data.message)
+        await fetchCategories()
+        return true
+      }
+      toast.error(response.data.message)
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    }
+    return false
+  }
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2">Categories</h3>
+      <p className="text-sm text-gray-500 mb-6">
+        Archived categories are hidden from the product form but kept on existing products. Renaming updates every product in the category.
+      </p>
+
+      {loading ? (
+        <div className="text-center py-8">Loading categories...</div>
+      ) : (
+        <TaxonomyList items={categories} onAction={onAction}>
+          {(category) => (
+            <div className='pl-10 pr-3 pb-3'>
+              <p className='text-xs text-gray-500 uppercase mb-2'>Sub categories</p>
+              <TaxonomyList items={category.subCategories} parent={category} onAction={onAction} />
+            </div>
+          )}
+        </TaxonomyList>
+      )}
+    </div>
+  )
+}
+
+Categories.propTypes = {
+  token: PropTypes.string.isRequired
+}
+
+export default Categories
@@ -2,6 +2,10 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { backendUrl, currency } from '../App';
 import { toast } from 'react-toastify';
+import { Link, useNavigate } from 'react-router-dom';
+import { getLowStockThreshold, lowStockSizes } from '../utils/stock';
+import { isFinal, orderStatuses, statusStyle } from '../utils/orderStatus';
+import { dayBounds, listOrders, orderStatusCounts, orderSummary } from '../utils/orders';
 import { Line, Bar } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -30,7 +34,8 @@ ChartJS.register(
 );
 
 const Dashboard = ({ token }) => {
-  const [orders, setOrders] = useState([]);
+  const navigate = useNavigate();
+  const [recentOrders, setRecentOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [dateRange, setDateRange] = useState('month'); // 'week', 'month', 'year', 'custom'
   const [startDate, setStartDate] = useState('');
@@ -38,44 +43,37 @@ const Dashboard = ({ token }) => {
   const [stats, setStats] = useState({
     totalOrders: 0,
     totalIncome: 0,
+    collectedIncome: 0,
+    outstandingIncome: 0,
     avgOrderValue: 0,
     pendingOrders: 0,
-    deliveredOrders: 0
+    deliveredOrders: 0,
+    saleUnits: 0,
+    saleRevenue: 0,
+    fullPriceUnits: 0,
+    fullPriceRevenue: 0
   });
   const [chartData, setChartData] = useState(null);
   const [statusData, setStatusData] = useState(null);
+  const [lowStockProducts, setLowStockProducts] = useState([]);
+  const lowStockThreshold = getLowStockThreshold();
 
-  // Status options
-  const statusOptions = [
-    "Order Placed",
-    "Packing",
-    "Shipped",
-    "Out for delivery",
-    "Delivered"
-  ];
-
-  // Status colors for visual consistency with Orders page
-  const statusColors = {
-    "Order Placed": "#3b82f6", // blue
-    "Packing": "#eab308", // yellow
-    "Shipped": "#8b5cf6", // purple
-    "Out for delivery": "#f97316", // orange
-    "Delivered": "#22c55e" // green
-  };
-
+  // Totals, chart buckets and status counts are aggregated by the server;
+  // only the five most recent orders are downloaded
   const fetchOrders = async () => {
     if (!token) return;
 
     setLoading(true);
     try {
-      const response = await axios.post(backendUrl + '/api/order/list', {}, { headers: { token } });
-      if (response.data.success) {
-        const ordersData = response.data.orders;
-        setOrders(ordersData);
-        processData(ordersData);
-      } else {
-        toast.error(response.data.message);
-      }
+      const bounds = getDateBounds();
+      const interval = dateRange === 'week' || dateRange === 'month' ? 'day' : 'month';
+      const [summary, statusSummary, recent] = await Promise.all([
+        orderSummary(token, bounds, interval),
+        orderStatusCounts(token, bounds),
+        listOrders(token, { sort: 'desc' }, 1, 5)
+      ]);
+      setRecentOrders(recent.orders);
+      processData(summary, statusSummary.counts);
     } catch (error) {
       console.error('Error fetching orders:', error);
       toast.error('Failed to fetch orders data');
@@ -84,82 +82,64 @@ const Dashboard = ({ token }) => {
     }
   };
 
-  const processData = (ordersData) => {
-    if (!ordersData.length) return;
-    
-    // Filter orders based on date range
-    const filteredOrders = filterOrdersByDateRange(ordersData);
-    
+  const processData = ({ totals, series }, statusCounts) => {
     // Calculate basic stats
-    const totalOrders = filteredOrders.length;
-    const totalIncome = filteredOrders.reduce((sum, order) => sum + order.amount, 0);
+    const totalOrders = totals.orders;
+    const totalIncome = totals.income;
     const avgOrderValue = totalOrders ? (totalIncome / totalOrders).toFixed(2) : 0;
-    const pendingOrders = filteredOrders.filter(order => order.status !== "Delivered").length;
-    const deliveredOrders = filteredOrders.filter(order => order.status === "Delivered").length;
+    // Still in progress: neither delivered nor cancelled or returned
+    const pendingOrders = orderStatuses
+      .filter(status => status !== "Delivered" && !isFinal(status))
+      .reduce((sum, status) => sum + (statusCounts[status] || 0), 0);
+    const deliveredOrders = statusCounts["Delivered"] || 0;
     
     setStats({
       totalOrders,
       totalIncome,
+      collectedIncome: totals.collected,
+      outstandingIncome: totals.outstanding,
       avgOrderValue,
       pendingOrders,
-      deliveredOrders
+      deliveredOrders,
+      saleUnits: totals.saleUnits,
+      saleRevenue: totals.saleRevenue,
+      fullPriceUnits: totals.fullPriceUnits,
+      fullPriceRevenue: totals.fullPriceRevenue
     });
     
     // Prepare chart data
-    prepareChartData(filteredOrders);
-    prepareStatusData(filteredOrders);
+    prepareChartData(series);
+    prepareStatusData(statusCounts);
   };
 
-  const filterOrdersByDateRange = (ordersData) => {
-    let start, end;
+  // Start and end of the selected range; both null means all orders
+  const getDateBounds = () => {
     const now = new Date();
+    const start = new Date(now);
     
     switch (dateRange) {
       case 'week':
-        start = new Date(now);
         start.setDate(now.getDate() - 7);
-        end = new Date(now);
-        break;
+        return { from: start, to: now };
       case 'month':
-        start = new Date(now);
         start.setMonth(now.getMonth() - 1);
-        end = new Date(now);
-        break;
+        return { from: start, to: now };
       case 'year':
-        start = new Date(now);
         start.setFullYear(now.getFullYear() - 1);
-        end = new Date(now);
-        break;
+        return { from: start, to: now };
       case 'custom':
         if (startDate && endDate) {
-          start = new Date(startDate);
-          start.setHours(0, 0, 0, 0);
-          end = new Date(endDate);
-          end.setHours(23, 59, 59, 999);
-        } else {
-          // Default to all orders if custom dates not set
-          return ordersData;
+          return dayBounds(startDate, endDate);
         }
-        break;
+        // Default to all orders if custom dates not set
+        return { from: null, to: null };
       default:
         // Default to all orders
-        return ordersData;
+        return { from: null, to: null };
     }
-    
-    return ordersData.filter(order => {
-      const orderDate = new Date(order.date);
-      return orderDate >= start && orderDate <= end;
-    });
   };
 
-  const prepareChartData = (filteredOrders) => {
-    // Group orders by date
-    const ordersByDate = {};
-    const incomeByDate = {};
-    
-    // Sort orders by date
-    filteredOrders.sort((a, b) => new Date(a.date) - new Date(b.date));
-    
+  const prepareChartData = (series) => {
     // Format date based on range
     let dateFormat;
     if (dateRange === 'week') {
@@ -170,23 +150,11 @@ const Dashboard = ({ token }) => {
       dateFormat = { month: 'short', year: 'numeric' }; // e.g., "Jan 2023"
     }
     
-    // Group data by date
-    filteredOrders.forEach(order => {
-      const dateStr = new Date(order.date).toLocaleDateString('en-US', dateFormat);
-      
-      if (!ordersByDate[dateStr]) {
-        ordersByDate[dateStr] = 0;
-        incomeByDate[dateStr] = 0;
-      }
-      
-      ordersByDate[dateStr]++;
-      incomeByDate[dateStr] += order.amount;
-    });
-    
-    // Convert to chart format
-    const labels = Object.keys(ordersByDate);
-    const orderCounts = Object.values(ordersByDate);
-    const incomeCounts = Object.values(incomeByDate);
+    // One point per bucket, oldest first
+    const buckets = [...series].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const labels = buckets.map(bucket => new Date(bucket.date).toLocaleDateString('en-US', dateFormat));
+    const orderCounts = buckets.map(bucket => bucket.orders);
+    const incomeCounts = buckets.map(bucket => bucket.income);
     
     setChartData({
       labels,
@@ -213,26 +181,14 @@ const Dashboard = ({ token }) => {
     });
   };
 
-  const prepareStatusData = (filteredOrders) => {
-    // Count orders by status
-    const countByStatus = {};
-    statusOptions.forEach(status => {
-      countByStatus[status] = 0;
-    });
-    
-    filteredOrders.forEach(order => {
-      if (countByStatus[order.status] !== undefined) {
-        countByStatus[order.status]++;
-      }
-    });
-    
+  const prepareStatusData = (statusCounts) => {
     setStatusData({
-      labels: statusOptions,
+      labels: orderStatuses,
       datasets: [
         {
           label: 'Orders by Status',
-          data: Object.values(countByStatus),
-          backgroundColor: statusOptions.map(status => statusColors[status]),
+          data: orderStatuses.map(status => statusCounts[status] || 0),
+          backgroundColor: orderStatuses.map(status => statusStyle(status).color),
           borderWidth: 1
         }
       ]
@@ -261,23 +217,33 @@ const Dashboard = ({ token }) => {
 
   const applyCustomDateFilter = () => {
     if (startDate && endDate) {
-      processData(orders);
+      fetchOrders();
     } else {
       toast.warning('Please select both start and end dates');
     }
   };
 
-  // Fetch orders when component mounts
   useEffect(() => {
-    fetchOrders();
-  }, [token]);
+    const fetchLowStock = async () => {
+      try {
+        const response = await axios.get(backendUrl + '/api/product/list');
+        if (response.data.success) {
+          setLowStockProducts(
+            response.data.products.filter(product => lowStockSizes(product, lowStockThreshold).length > 0)
+          );
+        }
+      } catch (error) {
+        console.error('Error fetching products:', error);
+      }
+    };
+
+    fetchLowStock();
+  }, [token, lowStockThreshold]);
 
-  // Re-process data when date range changes
+  // Fetch the orders again when the date range changes
   useEffect(() => {
-    if (orders.length) {
-      processData(orders);
-    }
-  }, [dateRange]);
+    fetchOrders();
+  }, [token, dateRange]);
 
   const chartOptions = {
     responsive: true,
@@ -432,6 +398,10 @@ const Dashboard = ({ token }) => {
               <p className="text-sm text-gray-500 mt-1">
                 Avg. {currency}{stats.avgOrderValue} per order
               </p>
+              <div className="flex justify-between text-sm mt-2 pt-2 border-t">
+                <span className="text-green-600">Collected {currency}{stats.collectedIncome.toFixed(2)}</span>
+                <span className="text-orange-600">Outstanding {currency}{stats.outstandingIncome.toFixed(2)}</span>
+              </div>
             </div>
             
             <div className="bg-white p-4 rounded-lg shadow-sm border-l-4 border-orange-500">
@@ -451,6 +421,29 @@ const Dashboard = ({ token }) => {
             </div>
           </div>
           
+          {/* Sale vs full price */}
+          <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+            <h4 className="text-md font-medium mb-4">Sale vs Full-Price Sales</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="border-l-4 border-red-500 pl-3">
+                <h4 className="text-sm text-gray-500 uppercase font-medium">Sale Units</h4>
+                <p className="text-2xl font-bold mt-1">{stats.saleUnits}</p>
+                <p className="text-sm text-gray-500 mt-1">{currency}{stats.saleRevenue.toFixed(2)} revenue</p>
+              </div>
+              <div className="border-l-4 border-blue-500 pl-3">
+                <h4 className="text-sm text-gray-500 uppercase font-medium">Full-Price Units</h4>
+                <p className="text-2xl font-bold mt-1">{stats.fullPriceUnits}</p>
+                <p className="text-sm text-gray-500 mt-1">{currency}{stats.fullPriceRevenue.toFixed(2)} revenue</p>
+              </div>
+            </div>
+            {stats.saleUnits + stats.fullPriceUnits > 0 && (
+              <div className="flex w-full h-2 mt-4 rounded overflow-hidden bg-gray-200">
+                <div className="bg-red-500" style={{ width: `${(stats.saleUnits / (stats.saleUnits + stats.fullPriceUnits)) * 100}%` }}></div>
+                <div className="bg-blue-500 flex-1"></div>
+              </div>
+            )}
+          </div>
+
           {/* Charts */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
             <div className="bg-white p-4 rounded-lg shadow-sm">
@@ -476,6 +469,30 @@ const Dashboard = ({ token }) => {
             </div>
           </div>
           
+          {/* Low Stock */}
+          {lowStockProducts.length > 0 && (
+            <div className="bg-white p-4 rounded-lg shadow-sm mb-6 border-l-4 border-red-500">
+              <div className="flex justify-between items-center mb-4">
+                <h4 className="text-md font-medium">
+                  Low Stock <span className="text-sm text-gray-500">({lowStockThreshold} units or fewer)</span>
+                </h4>
+                <Link to="/list?lowStock=true" className="text-sm text-blue-600 hover:underline">View All</Link>
+              </div>
+              <ul className="divide-y divide-gray-200 text-sm">
+                {lowStockProducts.slice(0, 5).map(product => (
+                  <li key={product._id} className="flex justify-between items-center py-2">
+                    <Link to={`/edit/${product._id}`} className="hover:underline">{product.name}</Link>
+                    <span className="text-red-600">
+                      {lowStockSizes(product, lowStockThreshold)
+                        .map(size => `${size}: ${Number(product.stock[size]) || 0}`)
+                        .join(', ')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Recent Orders */}
           <div className="bg-white p-4 rounded-lg shadow-sm">
             <div className="flex justify-between items-center mb-4">
@@ -483,7 +500,7 @@ const Dashboard = ({ token }) => {
               <a href="/orders" className="text-sm text-blue-600 hover:underline">View All</a>
             </div>
             
-            {orders.length > 0 ? (
+            {recentOrders.length > 0 ? (
               <div className="overflow-x-auto">
                 <table className="min-w-full">
                   <thead className="bg-gray-50">
@@ -495,8 +512,12 @@ const Dashboard = ({ token }) => {
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
-                    {orders.slice(0, 5).map((order, index) => (
-                      <tr key={index} className="hover:bg-gray-50">
+                    {recentOrders.map((order, index) => (
+                      <tr
+                        key={index}
+                        onClick={() => navigate(`/orders/${order._id}`)}
+                        className="hover:bg-gray-50 cursor-pointer"
+                      >
                         <td className="px-4 py-3 whitespace-nowrap">
                           {order.address.firstName} {order.address.lastName}
                         </td>
@@ -512,13 +533,7 @@ const Dashboard = ({ token }) => {
                         </td>
                         <td className="px-4 py-3 whitespace-nowrap">
                           <span 
-                            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                              order.status === "Order Placed" ? "bg-blue-100 text-blue-800" :
-                              order.status === "Packing" ? "bg-yellow-100 text-yellow-800" :
-                              order.status === "Shipped" ? "bg-purple-100 text-purple-800" :
-                              order.status === "Out for delivery" ? "bg-orange-100 text-orange-800" :
-                              "bg-green-100 text-green-800" // Delivered
-                            }`}
+                            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusStyle(order.status).badge}`}
                           >
                             {order.status}
                           </span>
@@ -0,0 +1,200 @@
+import { useState } from 'react'
+import axios from 'axios'
+import PropTypes from 'prop-types'
+import { backendUrl, currency } from '../App'
+import { toast } from 'react-toastify'
+import { parseProductFile, buildProductFormData } from '../utils/productImport'
+import { runBatch } from '../utils/batch'
+import useCategories from '../hooks/useCategories'
+
+const Import = ({ token }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [summary, setSummary] = useState(null);
+  const { categories, loading: categoriesLoading } = useCategories();
+
+  const validRows = rows.filter(entry => entry.errors.length === 0);
+  const invalidRows = rows.filter(entry => entry.errors.length > 0);
+
+  const onFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseProductFile(file.name, reader.result, categories);
+        if (!parsed.length) {
+          toast.error('No products found in file');
+        }
+        setFileName(file.name);
+        setRows(parsed);
+        setSummary(null);
+        setProgress({ done: 0, total: 0 });
+      } catch (error) {
+        console.log(error);
+        toast.error('Could not read file: ' + error.message);
+      }
+    };
+    reader.readAsText(file);
+
+    // Allow picking the same file again after fixing it
+    e.target.value = '';
+  }
+
+  const importProducts = async () => {
+    if (!validRows.length) return;
+
+    setImporting(true);
+    setSummary(null);
+    setProgress({ done: 0, total: validRows.length });
+
+    const result = await runBatch(
+      validRows,
+      async (entry) => {
+        const response = await axios.post(backendUrl + '/api/product/add', buildProductFormData(entry.row), { headers: { token } });
+        if (!response.data.success) {
+          throw new Error(response.data.message);
+        }
+      },
+      (done, total) => setProgress({ done, total })
+    );
+
+    setImporting(false);
+    setSummary(result);
+
+    if (result.failed.length) {
+      toast.error(`${result.failed.length} of ${validRows.length} products failed to import`);
+    } else {
+      toast.success(`Imported ${result.succeeded.length} products`);
+    }
+  }
+
+  const resetImport = () => {
+    setFileName('');
+    setRows([]);
+    setSummary(null);
+    setProgress({ done: 0, total: 0 });
+  }
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-6">Import Products</h3>
+
+      <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+        <p className="text-sm text-gray-600 mb-3">
+          Upload a CSV or JSON file with the columns <b>name</b>, <b>description</b>, <b>price</b>, <b>category</b>, <b>subCategory</b>, <b>sizes</b>, <b>bestseller</b> and <b>image1</b>–<b>image4</b> (or an <b>images</b> column).
+          In CSV files separate sizes and images with <code>|</code>, e.g. <code>S|M|L</code>.
+        </p>
+        <div className="flex items-center gap-3">
+          <label className="px-4 py-2 bg-black text-white rounded text-sm cursor-pointer">
+            Choose File
+            <input onChange={onFileChange} type="file" accept=".csv,.json" hidden disabled={importing || categoriesLoading} />
+          </label>
+          <span className="text-sm text-gray-600">{fileName || 'No file selected'}</span>
+        </div>
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div className="flex justify-between items-center mb-4">
+            <div className="text-sm text-gray-600">
+              {rows.length} rows · <span className="text-green-600">{validRows.length} valid</span> · <span className="text-red-600">{invalidRows.length} with errors</span>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={resetImport}
+                disabled={importing}
+                className="px-4 py-2 border border-gray-300 rounded text-sm"
+              >
+                Clear
+              </button>
+              <button
+                onClick={importProducts}
+                disabled={importing || !validRows.length}
+                className="px-4 py-2 bg-black text-white rounded text-sm disabled:opacity-50"
+              >
+                Import {validRows.length} Products
+              </button>
+            </div>
+          </div>
+
+          {progress.total > 0 && (
+            <div className="mb-4">
+              <div className="w-full bg-gray-200 rounded h-2">
+                <div
+                  className="bg-green-500 h-2 rounded transition-all"
+                  style={{ width: `${Math.round((progress.done / progress.total) * 100)}%` }}
+                ></div>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">{progress.done} / {progress.total} submitted</p>
+            </div>
+          )}
+
+          {summary && summary.failed.length > 0 && (
+            <div className="bg-red-50 border border-red-200 p-4 rounded mb-4 text-sm">
+              <p className="font-medium text-red-700 mb-2">
+                {summary.succeeded.length} imported, {summary.failed.length} failed:
+              </p>
+              <ul className="list-disc pl-5 text-red-700">
+                {summary.failed.map(({ item, message }) => (
+                  <li key={item.line}>Row {item.line} ({item.row.name}): {message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border text-sm">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Image</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Price</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sizes</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Errors</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map(({ line, row, errors }) => (
+                  <tr key={line} className={errors.length ? 'bg-red-50' : ''}>
+                    <td className="px-3 py-2">{line}</td>
+                    <td className="px-3 py-2">
+                      {row.images[0] && <img className="w-10" src={row.images[0]} alt="" />}
+                    </td>
+                    <td className="px-3 py-2">
+                      {row.name}
+                      {row.bestseller && <span className="ml-2 text-xs text-pink-600">Bestseller</span>}
+                    </td>
+                    <td className="px-3 py-2">{row.category} / {row.subCategory}</td>
+                    <td className="px-3 py-2">{currency}{row.price}</td>
+                    <td className="px-3 py-2">{row.sizes.join(', ')}</td>
+                    <td className="px-3 py-2 text-red-600">
+                      {errors.length ? (
+                        <ul className="list-disc pl-4">
+                          {errors.map((error, index) => <li key={index}>{error}</li>)}
+                        </ul>
+                      ) : (
+                        <span className="text-green-600">OK</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+Import.propTypes = {
+  token: PropTypes.string.isRequired
+}
+
+export default Import
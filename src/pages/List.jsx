@@ -1,11 +1,77 @@
 import axios from 'axios'
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import { backendUrl, currency } from '../App'
 import { toast } from 'react-toastify'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import useCategories from '../hooks/useCategories'
+import { allSubCategoryNames, categoryNames, subCategoryNames } from '../utils/categories'
+import PriceHistoryModal from '../components/PriceHistoryModal'
+import ProductDrawer from '../components/ProductDrawer'
+import { activeSalePrice, upcomingSale } from '../utils/pricing'
+import { productStatus, productStatuses, statusInfo } from '../utils/productStatus'
+import { getLowStockThreshold, setLowStockThreshold, lowStockSizes, totalStock } from '../utils/stock'
+
+const PAGE_SIZE = 20
+const UNDO_DELAY = 5000
 
 const List = ({ token }) => {
 
+  const navigate = useNavigate()
+
   const [list, setList] = useState([])
+  const [selectedIds, setSelectedIds] = useState([])
+  const [bulkCategory, setBulkCategory] = useState('')
+  const [bulkSubCategory, setBulkSubCategory] = useState('')
+  const [bulkRunning, setBulkRunning] = useState(false)
+  const [threshold, setThreshold] = useState(getLowStockThreshold())
+  const { categories } = useCategories()
+  const [historyProduct, setHistoryProduct] = useState(null)
+  const [drawerProduct, setDrawerProduct] = useState(null)
+
+  // Products waiting out the undo window are hidden but not yet sent to the trash
+  const [pendingRemoval, setPendingRemoval] = useState([])
+  const removalToasts = useRef({})
+
+  // Every filter lives in the query string so a filtered view can be bookmarked
+  const [searchParams, setSearchParams] = useSearchParams()
+  const search = searchParams.get('q') || ''
+  const categoryFilter = searchParams.get('category') || ''
+  const subCategoryFilter = searchParams.get('subCategory') || ''
+  const bestsellerFilter = searchParams.get('bestseller') || ''
+  const statusFilter = searchParams.get('status') || ''
+  const minPrice = searchParams.get('minPrice') || ''
+  const maxPrice = searchParams.get('maxPrice') || ''
+  const lowStockOnly = searchParams.get('lowStock') === 'true'
+  const sortBy = searchParams.get('sort') || 'date'
+  const sortOrder = searchParams.get('order') || 'desc'
+  const page = Math.max(1, Number(searchParams.get('page')) || 1)
+
+  const updateParams = (updates, resetPage = true) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev)
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) {
+          next.delete(key)
+        } else {
+          next.set(key, value)
+        }
+      })
+      if (resetPage) next.delete('page')
+      return next
+    }, { replace: true })
+  }
+
+  const handleSort = (field) => {
+    if (sortBy === field) {
+      updateParams({ order: sortOrder === 'asc' ? 'desc' : 'asc' })
+    } else {
+      updateParams({ sort: field, order: 'asc' })
+    }
+  }
+
+  const resetFilters = () => {
+    setSearchParams({}, { replace: true })
+  }
 
   const fetchList = async () => {
     try {
@@ -27,6 +93,7 @@ const List = ({ token }) => {
   const removeProduct = async (id) => {
     try {
 
+      // Moves the product to the trash, from where it can be restored
       const response = await axios.post(backendUrl + '/api/product/remove', { id }, { headers: { token } })
 
       if (response.data.success) {
@@ -39,43 +106,412 @@ const List = ({ token }) => {
     } catch (error) {
       console.log(error)
       toast.error(error.message)
+    } finally {
+      setPendingRemoval(prev => prev.filter(item => item !== id))
     }
   }
 
+  const undoRemove = (id) => {
+    if (!removalToasts.current[id]) return
+    delete removalToasts.current[id]
+    setPendingRemoval(prev => prev.filter(item => item !== id))
+  }
+
+  // Holds the delete back until the Undo toast closes, so a misclick can be undone.
+  // The toast pauses while hovered, and the delete waits along with it.
+  const scheduleRemove = (item) => {
+    setPendingRemoval(prev => [...prev, item._id])
+    setSelectedIds(prev => prev.filter(id => id !== item._id))
+
+    const toastId = toast(({ closeToast }) => (
+      <div className='flex items-center justify-between gap-3 text-sm'>
+        <span>&quot;{item.name}&quot; will be moved to trash</span>
+        <button
+          onClick={() => { undoRemove(item._id); closeToast() }}
+          className='px-3 py-1 border border-gray-300 rounded font-medium'
+        >
+          Undo
+        </button>
+      </div>
+    ), {
+      autoClose: UNDO_DELAY,
+      onClose: () => {
+        if (!removalToasts.current[item._id]) return
+        delete removalToasts.current[item._id]
+        removeProduct(item._id)
+      }
+    })
+
+    removalToasts.current[item._id] = toastId
+  }
+
+  // Sends one request for the whole selection; the backend answers with the ids it couldn't process
+  const runBulkAction = async (endpoint, payload) => {
+    setBulkRunning(true)
+    try {
+
+      const response = await axios.post(backendUrl + endpoint, { ids: selectedIds, ...payload }, { headers: { token } })
+
+      if (response.data.success) {
+        const failed = response.data.failed || []
+        if (failed.length) {
+          const names = failed.map(({ id, message }) => {
+            const product = list.find(item => item._id === id)
+            return `${product ? product.name : id}: ${message}`
+          })
+          toast.warning(`${selectedIds.length - failed.length} of ${selectedIds.length} products updated. Failed: ${names.join('; ')}`)
+          setSelectedIds(failed.map(({ id }) => id))
+        } else {
+          toast.success(response.data.message)
+          setSelectedIds([])
+        }
+        await fetchList()
+      } else {
+        toast.error(response.data.message)
+      }
+
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setBulkRunning(false)
+    }
+  }
+
+  const bulkRemove = () => {
+    if (!window.confirm(`Move ${selectedIds.length} selected products to trash?`)) {
+      return
+    }
+    runBulkAction('/api/product/bulk-remove')
+  }
+
+  const bulkSetBestseller = (bestseller) => {
+    runBulkAction('/api/product/bulk-update', { update: { bestseller } })
+  }
+
+  const bulkMove = () => {
+    if (!bulkCategory) {
+      toast.warning('Please select a category')
+      return
+    }
+    const update = { category: bulkCategory }
+    if (bulkSubCategory) {
+      update.subCategory = bulkSubCategory
+    } else {
+      // Products keep their sub category, so the new category has to offer it too
+      const options = subCategoryNames(categories, bulkCategory)
+      const missing = [...new Set(list
+        .filter(item => selectedIds.includes(item._id) && !options.includes(item.subCategory))
+        .map(item => item.subCategory))]
+      if (missing.length) {
+        toast.warning(`${bulkCategory} has no ${missing.join(', ')} sub category. Please select a sub category`)
+        return
+      }
+    }
+    runBulkAction('/api/product/bulk-update', { update })
+  }
+
+  const onBulkCategoryChange = (value) => {
+    setBulkCategory(value)
+    setBulkSubCategory('')
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id])
+  }
+
   useEffect(() => {
     fetchList()
   }, [])
 
+  // Leaving the page carries out the deletes that are still waiting, since their Undo toasts go away too
+  const removeProductRef = useRef(removeProduct)
+  useEffect(() => {
+    removeProductRef.current = removeProduct
+  })
+
+  useEffect(() => {
+    const pending = removalToasts.current
+    return () => {
+      Object.entries(pending).forEach(([id, toastId]) => {
+        delete pending[id]
+        toast.dismiss(toastId)
+        removeProductRef.current(id)
+      })
+    }
+  }, [])
+
+  // What a customer pays right now
+  const currentPrice = (item) => activeSalePrice(item) ?? item.price
+
+  // Filter, sort and paginate products
+  const filteredList = list.filter(item => {
+    if (pendingRemoval.includes(item._id)) return false
+    const searchLower = search.toLowerCase()
+    if (searchLower &&
+      !item.name.toLowerCase().includes(searchLower) &&
+      !(item.description || '').toLowerCase().includes(searchLower)) {
+      return false
+    }
+    if (categoryFilter && item.category !== categoryFilter) return false
+    if (subCategoryFilter && item.subCategory !== subCategoryFilter) return false
+    if (statusFilter && productStatus(item) !== statusFilter) return false
+    if (bestsellerFilter && String(Boolean(item.bestseller)) !== bestsellerFilter) return false
+    if (minPrice !== '' && currentPrice(item) < Number(minPrice)) return false
+    if (maxPrice !== '' && currentPrice(item) > Number(maxPrice)) return false
+    if (lowStockOnly && lowStockSizes(item, threshold).length === 0) return false
+    return true
+  })
+
+  const sortedList = [...filteredList].sort((a, b) => {
+    let result = 0
+    if (sortBy === 'name') {
+      result = a.name.toLowerCase().localeCompare(b.name.toLowerCase())
+    } else if (sortBy === 'category') {
+      result = a.category.localeCompare(b.category) || a.subCategory.localeCompare(b.subCategory)
+    } else if (sortBy === 'price') {
+      result = currentPrice(a) - currentPrice(b)
+    } else if (sortBy === 'stock') {
+      result = (totalStock(a) ?? Infinity) - (totalStock(b) ?? Infinity)
+    } else if (sortBy === 'date') {
+      result = (a.date || 0) - (b.date || 0)
+    }
+    return sortOrder === 'asc' ? result : -result
+  })
+
+  const totalPages = Math.max(1, Math.ceil(sortedList.length / PAGE_SIZE))
+  const currentPage = Math.min(page, totalPages)
+  const pageItems = sortedList.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE)
+
+  const pageSelected = pageItems.length > 0 && pageItems.every(item => selectedIds.includes(item._id))
+
+  const togglePageSelected = () => {
+    const pageIds = pageItems.map(item => item._id)
+    setSelectedIds(prev => pageSelected
+      ? prev.filter(id => !pageIds.includes(id))
+      : [...new Set([...prev, ...pageIds])])
+  }
+
+  const renderStock = (item) => {
+    const total = totalStock(item)
+    if (total === null) {
+      return <p className='text-gray-400'>-</p>
+    }
+    const lowSizes = lowStockSizes(item, threshold)
+    return (
+      <div>
+        <p className={lowSizes.length ? 'text-red-600 font-medium' : ''}>{total}</p>
+        {lowSizes.length > 0 && (
+          <p className='text-xs text-red-600'>Low: {lowSizes.map(size => `${size} (${Number(item.stock[size]) || 0})`).join(', ')}</p>
+        )}
+      </div>
+    )
+  }
+
+  const renderPrice = (item) => {
+    const sale = activeSalePrice(item)
+    if (sale !== null) {
+      return (
+        <div>
+          <p className='text-red-600 font-medium'>{currency}{sale}</p>
+          <p className='text-xs text-gray-400 line-through'>{currency}{item.price}</p>
+        </div>
+      )
+    }
+    return (
+      <div>
+        <p>{currency}{item.price}</p>
+        {upcomingSale(item) && (
+          <p className='text-xs text-gray-500'>Sale {currency}{item.salePrice} from {new Date(item.saleStart).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</p>
+        )}
+      </div>
+    )
+  }
+
+  const renderStatus = (item) => {
+    const info = statusInfo(productStatus(item))
+    return (
+      <span
+        onClick={(e) => {
+          e.stopPropagation()
+          updateParams({ status: info.value })
+        }}
+        className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium cursor-pointer ${info.badge}`}
+      >
+        {info.label}
+        {info.value === 'scheduled' && item.publishAt && ` · ${new Date(item.publishAt).toLocaleString('en-US', {
+          month: 'short',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: '2-digit'
+        })}`}
+      </span>
+    )
+  }
+
+  const sortIndicator = (field) => sortBy === field && (
+    <span className='ml-1'>{sortOrder === 'asc' ? '↑' : '↓'}</span>
+  )
+
   return (
     <>
-      <p className='mb-2'>All Products List</p>
+      <div className='flex justify-between items-center mb-2'>
+        <p>All Products List</p>
+        <p onClick={() => navigate('/trash')} className='cursor-pointer text-sm text-blue-600 hover:underline'>View Trash</p>
+      </div>
+
+      {/* ------- Search and Filters ---------- */}
+
+      <div className='bg-white p-4 rounded-lg shadow-sm mb-4'>
+        <input
+          type='text'
+          placeholder='Search by name or description...'
+          value={search}
+          onChange={(e) => updateParams({ q: e.target.value })}
+          className='w-full px-4 py-2 border rounded-md mb-3'
+        />
+        <div className='grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 text-sm'>
+          <select value={categoryFilter} onChange={(e) => updateParams({ category: e.target.value })} className='p-2 border rounded'>
+            <option value=''>All Categories</option>
+            {categoryNames(categories, true).map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+          <select value={subCategoryFilter} onChange={(e) => updateParams({ subCategory: e.target.value })} className='p-2 border rounded'>
+            <option value=''>All Sub Categories</option>
+            {(categoryFilter ? subCategoryNames(categories, categoryFilter, true) : allSubCategoryNames(categories, true)).map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+          <select value={statusFilter} onChange={(e) => updateParams({ status: e.target.value })} className='p-2 border rounded'>
+            <option value=''>All Statuses</option>
+            {productStatuses.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <select value={bestsellerFilter} onChange={(e) => updateParams({ bestseller: e.target.value })} className='p-2 border rounded'>
+            <option value=''>Bestseller: Any</option>
+            <option value='true'>Bestsellers only</option>
+            <option value='false'>Not bestsellers</option>
+          </select>
+          <input type='number' min='0' placeholder={`Min ${currency}`} value={minPrice} onChange={(e) => updateParams({ minPrice: e.target.value })} className='p-2 border rounded' />
+          <input type='number' min='0' placeholder={`Max ${currency}`} value={maxPrice} onChange={(e) => updateParams({ maxPrice: e.target.value })} className='p-2 border rounded' />
+        </div>
+        <div className='flex flex-wrap items-center gap-4 mt-3 text-sm'>
+          <label className='flex items-center gap-2 cursor-pointer'>
+            <input type='checkbox' checked={lowStockOnly} onChange={(e) => updateParams({ lowStock: e.target.checked ? 'true' : '' })} />
+            Low stock only
+          </label>
+          <label className='flex items-center gap-2'>
+            Low stock threshold
+            <input
+              type='number'
+              min='0'
+              value={threshold}
+              onChange={(e) => {
+                setThreshold(Number(e.target.value))
+                setLowStockThreshold(e.target.value)
+              }}
+              className='w-20 p-1 border rounded'
+            />
+          </label>
+        </div>
+        <div className='flex justify-between items-center mt-3 text-sm text-gray-600'>
+          <span>Showing {pageItems.length} of {filteredList.length} products ({list.length} total)</span>
+          <button onClick={resetFilters} className='px-4 py-1 border border-gray-300 rounded'>Reset</button>
+        </div>
+      </div>
+
+      {/* ------- Bulk Actions ---------- */}
+
+      {selectedIds.length > 0 && (
+        <div className='flex flex-wrap items-center gap-2 bg-gray-800 text-white p-3 rounded-lg mb-4 text-sm'>
+          <span className='mr-2'>{selectedIds.length} selected</span>
+          <button disabled={bulkRunning} onClick={bulkRemove} className='px-3 py-1 bg-red-600 rounded disabled:opacity-50'>Delete</button>
+          <button disabled={bulkRunning} onClick={() => bulkSetBestseller(true)} className='px-3 py-1 bg-gray-600 rounded disabled:opacity-50'>Bestseller On</button>
+          <button disabled={bulkRunning} onClick={() => bulkSetBestseller(false)} className='px-3 py-1 bg-gray-600 rounded disabled:opacity-50'>Bestseller Off</button>
+          <select value={bulkCategory} onChange={(e) => onBulkCategoryChange(e.target.value)} className='p-1 rounded text-gray-800'>
+            <option value=''>Category</option>
+            {categoryNames(categories).map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+          <select value={bulkSubCategory} onChange={(e) => setBulkSubCategory(e.target.value)} disabled={!bulkCategory} className='p-1 rounded text-gray-800 disabled:opacity-50'>
+            <option value=''>Sub Category</option>
+            {subCategoryNames(categories, bulkCategory).map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+          <button disabled={bulkRunning} onClick={bulkMove} className='px-3 py-1 bg-gray-600 rounded disabled:opacity-50'>Move</button>
+          <button disabled={bulkRunning} onClick={() => setSelectedIds([])} className='ml-auto px-3 py-1 border border-gray-500 rounded'>Clear</button>
+        </div>
+      )}
+
       <div className='flex flex-col gap-2'>
 
         {/* ------- List Table Title ---------- */}
 
-        <div className='hidden md:grid grid-cols-[1fr_3fr_1fr_1fr_1fr] items-center py-1 px-2 border bg-gray-100 text-sm'>
+        <div className='hidden md:grid grid-cols-[auto_1fr_3fr_1fr_1fr_1fr_1fr] items-center gap-2 py-1 px-2 border bg-gray-100 text-sm'>
+          <input type='checkbox' checked={pageSelected} onChange={togglePageSelected} />
           <b>Image</b>
-          <b>Name</b>
-          <b>Category</b>
-          <b>Price</b>
+          <b onClick={() => handleSort('name')} className='cursor-pointer'>Name{sortIndicator('name')}</b>
+          <b onClick={() => handleSort('category')} className='cursor-pointer'>Category{sortIndicator('category')}</b>
+          <b onClick={() => handleSort('price')} className='cursor-pointer'>Price{sortIndicator('price')}</b>
+          <b onClick={() => handleSort('stock')} className='cursor-pointer'>Stock{sortIndicator('stock')}</b>
           <b className='text-center'>Action</b>
         </div>
 
         {/* ------ Product List ------ */}
 
         {
-          list.map((item, index) => (
-            <div className='grid grid-cols-[1fr_3fr_1fr] md:grid-cols-[1fr_3fr_1fr_1fr_1fr] items-center gap-2 py-1 px-2 border text-sm' key={index}>
+          pageItems.map((item) => (
+            <div className='grid grid-cols-[auto_1fr_3fr_1fr] md:grid-cols-[auto_1fr_3fr_1fr_1fr_1fr_1fr] items-center gap-2 py-1 px-2 border text-sm cursor-pointer hover:bg-gray-50' key={item._id} onClick={() => setDrawerProduct(item)}>
+              <input type='checkbox' checked={selectedIds.includes(item._id)} onChange={() => toggleSelected(item._id)} onClick={(e) => e.stopPropagation()} />
               <img className='w-12' src={item.image[0]} alt="" />
-              <p>{item.name}</p>
+              <div>
+                <p>{item.name}</p>
+                {renderStatus(item)}
+              </div>
               <p>{item.category}</p>
-              <p>{currency}{item.price}</p>
-              <p onClick={()=>removeProduct(item._id)} className='text-right md:text-center cursor-pointer text-lg'>X</p>
+              {renderPrice(item)}
+              {renderStock(item)}
+              <div onClick={(e) => e.stopPropagation()} className='flex justify-end md:justify-center items-center gap-3'>
+                <p onClick={()=>navigate(`/edit/${item._id}`)} className='cursor-pointer text-sm text-blue-600 hover:underline'>Edit</p>
+                <p onClick={()=>navigate(`/add?from=${item._id}`)} className='cursor-pointer text-sm text-blue-600 hover:underline'>Duplicate</p>
+                <p onClick={()=>setHistoryProduct(item)} className='cursor-pointer text-sm text-blue-600 hover:underline'>History</p>
+                <p onClick={()=>scheduleRemove(item)} className='cursor-pointer text-lg'>X</p>
+              </div>
             </div>
           ))
         }
 
+        {pageItems.length === 0 && (
+          <div className='text-center py-8 text-gray-500'>
+            {list.length ? 'No products match the selected filters' : 'No products available'}
+          </div>
+        )}
+
       </div>
+
+      {/* ------ Pagination ------ */}
+
+      {totalPages > 1 && (
+        <div className='flex justify-center items-center gap-2 mt-4 text-sm'>
+          <button
+            onClick={() => updateParams({ page: currentPage - 1 }, false)}
+            disabled={currentPage === 1}
+            className='px-3 py-1 border rounded disabled:opacity-50'
+          >
+            Prev
+          </button>
+          <span>Page {currentPage} of {totalPages}</span>
+          <button
+            onClick={() => updateParams({ page: currentPage + 1 }, false)}
+            disabled={currentPage === totalPages}
+            className='px-3 py-1 border rounded disabled:opacity-50'
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {drawerProduct && (
+        <ProductDrawer product={drawerProduct} token={token} onClose={() => setDrawerProduct(null)} />
+      )}
+
+      {historyProduct && (
+        <PriceHistoryModal product={historyProduct} token={token} onClose={() => setHistoryProduct(null)} />
+      )}
     </>
   )
 }
@@ -0,0 +1,218 @@
+import { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import axios from 'axios'
+import { Link, useParams } from 'react-router-dom'
+import { backendUrl, currency } from '../App'
+import { toast } from 'react-toastify'
+import { assets } from '../assets/assets'
+import { describeVariant } from '../utils/variants'
+import { itemUnitPrice, isSaleItem } from '../utils/pricing'
+import { awaitsCollection, customerName, formatAddress, formatOrderDate, orderSubtotal, updateOrderStatus } from '../utils/orders'
+import { statusStyle } from '../utils/orderStatus'
+import StatusSelect from '../components/StatusSelect'
+import OrderDocuments from '../components/OrderDocuments'
+import PaymentModal from '../components/PaymentModal'
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+})
+
+// The admin may come back populated or as a plain name/email
+const adminName = (admin) => {
+  if (!admin) return 'Customer'
+  if (typeof admin === 'string') return admin
+  return admin.name || admin.email || 'Admin'
+}
+
+const OrderDetail = ({ token }) => {
+  const { id } = useParams()
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [printJob, setPrintJob] = useState(null)
+  const [paymentOpen, setPaymentOpen] = useState(false)
+
+  const fetchOrder = useCallback(async () => {
+    if (!token) return
+
+    try {
+      const response = await axios.post(backendUrl + '/api/order/single', { orderId: id }, { headers: { token } })
+      if (response.data.success) {
+        setOrder(response.data.order)
+      } else {
+        toast.error(response.data.message)
+      }
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [id, token])
+
+  const statusHandler = async (status, reason) => {
+    try {
+      await updateOrderStatus(token, id, status, reason ? { reason } : {})
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    }
+    await fetchOrder()
+  }
+
+  useEffect(() => {
+    fetchOrder()
+  }, [fetchOrder])
+
+  if (loading) {
+    return <div className="text-center py-8">Loading order...</div>
+  }
+
+  if (!order) {
+    return (
+      <div className="text-center py-8">
+        <p className="mb-2">Order not found</p>
+        <Link to="/orders" className="text-sm text-blue-600 hover:underline">Back to orders</Link>
+      </div>
+    )
+  }
+
+  // Orders from before history tracking only know when they were placed
+  const history = order.statusHistory && order.statusHistory.length
+    ? [...order.statusHistory].sort((a, b) => new Date(a.date) - new Date(b.date))
+    : [{ status: 'Order Placed', date: order.date }]
+
+  const subtotal = orderSubtotal(order)
+
+  return (
+    <div>
+      <Link to="/orders" className="text-sm text-blue-600 hover:underline">← Back to orders</Link>
+
+      <div className="flex flex-wrap justify-between items-start gap-4 mt-3 mb-6">
+        <div>
+          <h3 className="text-xl font-semibold">Order #{order._id}</h3>
+          <p className="text-sm text-gray-500">Placed {formatDateTime(order.date)}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={() => setPrintJob({ type: 'invoice', orders: [order] })} className="px-3 py-2 border rounded text-sm">Print Invoice</button>
+          <button onClick={() => setPrintJob({ type: 'slip', orders: [order] })} className="px-3 py-2 border rounded text-sm">Print Packing Slip</button>
+          <span className={`inline-block w-3 h-3 rounded-full ${statusStyle(order.status).dot}`}></span>
+          <StatusSelect status={order.status} onChange={statusHandler} className="p-2 font-semibold" />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 flex flex-col gap-6">
+
+          {/* Line items */}
+          <div className="bg-white p-4 rounded-lg shadow-sm">
+            <h4 className="text-md font-medium mb-4">Items</h4>
+            <ul className="divide-y divide-gray-200 text-sm">
+              {order.items.map((item, index) => (
+                <li key={index} className="flex items-center gap-4 py-3">
+                  <img className="w-14 h-14 object-cover rounded border" src={item.image ? item.image[0] : assets.parcel_icon} alt="" />
+                  <div className="flex-1">
+                    <p className="font-medium">{item.name}</p>
+                    <p className="text-gray-500">{describeVariant(item)}</p>
+                  </div>
+                  <div className="text-right">
+                    <p>
+                      {item.quantity} × {currency}{itemUnitPrice(item, order.date).toFixed(2)}
+                      {isSaleItem(item, order.date) && <span className="ml-1 text-xs text-red-600">Sale</span>}
+                    </p>
+                    <p className="font-medium">{currency}{(itemUnitPrice(item, order.date) * item.quantity).toFixed(2)}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="border-t pt-3 mt-1 text-sm flex flex-col items-end gap-1">
+              <p>Subtotal: {currency}{subtotal.toFixed(2)}</p>
+              <p>Shipping: {currency}{Math.max(order.amount - subtotal, 0).toFixed(2)}</p>
+              <p className="font-semibold">Total: {currency}{order.amount}</p>
+            </div>
+          </div>
+
+          {/* Status timeline */}
+          <div className="bg-white p-4 rounded-lg shadow-sm">
+            <h4 className="text-md font-medium mb-4">Status History</h4>
+            <ol className="relative border-l-2 border-gray-200 ml-2">
+              {history.map((entry, index) => (
+                <li key={index} className="mb-5 ml-5 last:mb-0">
+                  <span
+                    className="absolute -left-[7px] w-3 h-3 rounded-full mt-1.5"
+                    style={{ backgroundColor: statusStyle(entry.status).color }}
+                  ></span>
+                  <p className="font-medium">{entry.status}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatDateTime(entry.date)} · {adminName(entry.admin)}
+                  </p>
+                  {entry.reason && <p className="text-sm text-gray-600 mt-1">{entry.reason}</p>}
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-6">
+
+          {/* Shipping address */}
+          <div className="bg-white p-4 rounded-lg shadow-sm text-sm">
+            <h4 className="text-md font-medium mb-3">Shipping Address</h4>
+            <p className="font-medium">{customerName(order)}</p>
+            <p>{order.address.street},</p>
+            <p>{formatAddress(order.address)}</p>
+            <p className="mt-2">{order.address.phone}</p>
+            {order.address.email && <p>{order.address.email}</p>}
+          </div>
+
+          {/* Payment */}
+          <div className="bg-white p-4 rounded-lg shadow-sm text-sm">
+            <h4 className="text-md font-medium mb-3">Payment</h4>
+            <p>Method: {order.paymentMethod}</p>
+            <p>
+              Payment:{' '}
+              <span className={order.payment ? 'text-green-600' : 'text-orange-600'}>
+                {order.payment ? 'Done' : 'Pending'}
+              </span>
+            </p>
+            <p>Amount: {currency}{order.amount}</p>
+            <p>Date: {formatOrderDate(order.date)}</p>
+            {order.paymentDetails && (
+              <div className="mt-2 pt-2 border-t">
+                <p>Collected: {currency}{order.paymentDetails.amount}</p>
+                <p>Received: {formatOrderDate(order.paymentDetails.date)}</p>
+                {order.paymentDetails.reference && <p>Reference: {order.paymentDetails.reference}</p>}
+              </div>
+            )}
+            {awaitsCollection(order) && (
+              <button onClick={() => setPaymentOpen(true)} className="mt-3 px-3 py-2 bg-black text-white rounded">Mark as paid</button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <OrderDocuments job={printJob} onDone={() => setPrintJob(null)} />
+
+      {paymentOpen && (
+        <PaymentModal
+          order={order}
+          token={token}
+          onClose={() => setPaymentOpen(false)}
+          onSaved={() => {
+            setPaymentOpen(false)
+            fetchOrder()
+          }}
+        />
+      )}
+    </div>
+  )
+}
+
+OrderDetail.propTypes = {
+  token: PropTypes.string.isRequired
+}
+
+export default OrderDetail
@@ -1,46 +1,110 @@
 import React from 'react'
 import { useEffect } from 'react'
 import { useState } from 'react'
-import axios from 'axios'
-import { backendUrl, currency } from '../App'
+import { currency } from '../App'
 import { toast } from 'react-toastify'
+import { Link } from 'react-router-dom'
 import { assets } from '../assets/assets'
+import { describeVariant } from '../utils/variants'
+import { awaitsCollection, dayBounds, listAllOrders, listOrders, orderStatusCounts, paymentMethods, updateOrderStatus } from '../utils/orders'
+import { runBatch } from '../utils/batch'
+import { isAllowed, orderStatuses, requiresReason, statusStyle } from '../utils/orderStatus'
+import StatusSelect from '../components/StatusSelect'
+import StatusChangeModal from '../components/StatusChangeModal'
+import OrderDocuments from '../components/OrderDocuments'
+import ExportOrdersModal from '../components/ExportOrdersModal'
+import Highlight from '../components/Highlight'
+import PaymentModal from '../components/PaymentModal'
+
+const PAGE_SIZE = 20
 
 const Orders = ({ token }) => {
+  // The current page of orders; filtering, sorting and paging happen on the server
   const [orders, setOrders] = useState([]);
-  const [allOrders, setAllOrders] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [statusCounts, setStatusCounts] = useState({ counts: {}, total: 0 });
+  const [paymentCounts, setPaymentCounts] = useState({ paid: 0, pending: 0 });
   const [loading, setLoading] = useState(true);
   
   // Filter states
+  const [search, setSearch] = useState('');
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [sortOrder, setSortOrder] = useState('desc'); // 'desc' or 'asc'
-  
-  // Status options for filter
-  const statusOptions = [
-    "Order Placed",
-    "Packing",
-    "Shipped",
-    "Out for delivery",
-    "Delivered"
-  ];
-
-  const fetchAllOrders = async () => {
+  const [paymentMethodFilter, setPaymentMethodFilter] = useState('');
+  const [paymentFilter, setPaymentFilter] = useState(''); // 'paid' or 'pending'
+  const [minAmount, setMinAmount] = useState('');
+  const [maxAmount, setMaxAmount] = useState('');
+
+  // The filters the list was last fetched with; the inputs above apply on "Apply Filters"
+  const [filters, setFilters] = useState({
+    search: '',
+    startDate: '',
+    endDate: '',
+    status: '',
+    paymentMethod: '',
+    payment: '',
+    minAmount: '',
+    maxAmount: '',
+    sort: 'desc'
+  });
+
+  // Bulk status update
+  // Selected orders, kept while paging; refreshed whenever a page they're on loads
+  const [selectedOrders, setSelectedOrders] = useState([]);
+  const [selectingAll, setSelectingAll] = useState(false);
+  const [bulkStatus, setBulkStatus] = useState('');
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const [bulkReasonOpen, setBulkReasonOpen] = useState(false);
+
+  // Invoices or packing slips being printed
+  const [printJob, setPrintJob] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // COD order whose payment is being recorded
+  const [paymentOrder, setPaymentOrder] = useState(null);
+
+  // Each group of summary cards is counted with every filter except the one it
+  // breaks the totals down by, so its cards stay comparable once one is picked
+  const summaryFilters = {
+    ...dayBounds(filters.startDate, filters.endDate),
+    search: filters.search,
+    paymentMethod: filters.paymentMethod,
+    payment: filters.payment,
+    minAmount: filters.minAmount,
+    maxAmount: filters.maxAmount
+  };
+  const queryFilters = { ...summaryFilters, status: filters.status, sort: filters.sort };
+  const paymentSummaryFilters = { ...summaryFilters, status: filters.status, payment: '' };
+
+  // Loads the current page together with the status and payment totals
+  const fetchOrders = async () => {
     if (!token) {
       return null;
     }
 
     setLoading(true);
     try {
-      const response = await axios.post(backendUrl + '/api/order/list', {}, { headers: { token } })
-      if (response.data.success) {
-        const ordersData = response.data.orders.reverse();
-        setAllOrders(ordersData);
-        setOrders(ordersData);
-      } else {
-        toast.error(response.data.message)
+      const [list, summary, paymentSummary] = await Promise.all([
+        listOrders(token, queryFilters, page, PAGE_SIZE),
+        orderStatusCounts(token, summaryFilters),
+        orderStatusCounts(token, paymentSummaryFilters)
+      ]);
+      // The last page can empty out after status changes under a status filter
+      if (page > 1 && page > list.pages) {
+        setPage(Math.max(1, list.pages));
+        return;
       }
+      setOrders(list.orders);
+      setSelectedOrders(prev => prev.map(order => list.orders.find(fresh => fresh._id === order._id) || order));
+      setTotal(list.total);
+      setPages(Math.max(1, list.pages));
+      setStatusCounts(summary);
+      setPaymentCounts(paymentSummary.payments);
     } catch (error) {
       toast.error(error.message)
     } finally {
@@ -48,62 +112,142 @@ const Orders = ({ token }) => {
     }
   }
 
-  const statusHandler = async (event, orderId) => {
+  // Printing and exporting cover every page of the filtered list
+  const loadFilteredOrders = () => listAllOrders(token, queryFilters);
+
+  const printFiltered = async (type) => {
     try {
-      const response = await axios.post(backendUrl + '/api/order/status', { orderId, status: event.target.value }, { headers: { token } })
-      if (response.data.success) {
-        await fetchAllOrders()
-      }
+      setPrintJob({ type, orders: await loadFilteredOrders() });
     } catch (error) {
       console.log(error)
-      toast.error(response.data.message)
+      toast.error(error.message)
     }
   }
 
-  const applyFilters = () => {
-    let filteredOrders = [...allOrders];
+  const goToPage = (nextPage) => {
+    setPage(nextPage);
+  }
 
-    // Apply date filter
-    if (startDate && endDate) {
-      const start = new Date(startDate);
-      start.setHours(0, 0, 0, 0); // Start of day
-      
-      const end = new Date(endDate);
-      end.setHours(23, 59, 59, 999); // End of day
-      
-      filteredOrders = filteredOrders.filter(order => {
-        const orderDate = new Date(order.date);
-        return orderDate >= start && orderDate <= end;
-      });
+  const statusHandler = async (orderId, status, reason) => {
+    try {
+      await updateOrderStatus(token, orderId, status, reason ? { reason } : {})
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
     }
+    await fetchOrders()
+  }
+
+  const selectedIds = selectedOrders.map(order => order._id);
+
+  const toggleSelected = (order) => {
+    setSelectedOrders(prev => prev.some(item => item._id === order._id)
+      ? prev.filter(item => item._id !== order._id)
+      : [...prev, order]);
+  }
+
+  const pageSelected = orders.length > 0 && orders.every(order => selectedIds.includes(order._id));
 
-    // Apply status filter
-    if (statusFilter) {
-      filteredOrders = filteredOrders.filter(order => order.status === statusFilter);
+  const toggleSelectPage = () => {
+    const pageIds = orders.map(order => order._id);
+    setSelectedOrders(prev => pageSelected
+      ? prev.filter(order => !pageIds.includes(order._id))
+      : [...prev, ...orders.filter(order => !selectedIds.includes(order._id))]);
+  }
+
+  // Selects every order matching the filters, on all pages
+  const selectAllFiltered = async () => {
+    setSelectingAll(true);
+    try {
+      setSelectedOrders(await loadFilteredOrders());
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setSelectingAll(false);
     }
+  }
 
-    // Apply sorting
-    filteredOrders.sort((a, b) => {
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      
-      return sortOrder === 'asc' 
-        ? dateA - dateB 
-        : dateB - dateA;
-    });
+  // Orders the lifecycle doesn't let move to the bulk status are reported, not sent.
+  // Orders already in that status are left alone.
+  const blockedOrders = selectedOrders.filter(order => order.status !== bulkStatus && !isAllowed(order.status, bulkStatus));
+  const movableOrders = selectedOrders.filter(order => isAllowed(order.status, bulkStatus));
+
+  const requestBulkStatus = () => {
+    if (movableOrders.some(order => requiresReason(order.status, bulkStatus))) {
+      setBulkReasonOpen(true);
+    } else {
+      applyBulkStatus();
+    }
+  }
 
-    setOrders(filteredOrders);
+  // Updates the selected orders one by one, then refreshes the list once
+  const applyBulkStatus = async (reason) => {
+    if (!bulkStatus || !selectedIds.length) return;
+
+    setBulkReasonOpen(false);
+    setBulkFailures([]);
+    setBulkProgress({ done: 0, total: movableOrders.length });
+
+    const result = await runBatch(
+      movableOrders,
+      (order) => updateOrderStatus(token, order._id, bulkStatus, requiresReason(order.status, bulkStatus) ? { reason } : {}),
+      (done, total) => setBulkProgress({ done, total })
+    );
+
+    const failed = [
+      ...blockedOrders.map(order => ({ item: order._id, message: `Cannot move from "${order.status}" to "${bulkStatus}"` })),
+      ...result.failed.map(({ item, message }) => ({ item: item._id, message }))
+    ];
+
+    setBulkProgress(null);
+    setBulkFailures(failed);
+    if (failed.length) {
+      toast.error(`${failed.length} of ${selectedIds.length} orders could not be updated`);
+      const failedIds = failed.map(({ item }) => item);
+      setSelectedOrders(selectedOrders.filter(order => failedIds.includes(order._id)));
+    } else {
+      toast.success(`${selectedIds.length} orders set to ${bulkStatus}`);
+      setSelectedOrders([]);
+    }
+    await fetchOrders();
+  }
+
+  const applyFilters = (overrides = {}) => {
+    setSelectedOrders([]);
+    setPage(1);
+    setFilters({
+      search: search.trim(),
+      startDate,
+      endDate,
+      status: statusFilter,
+      paymentMethod: paymentMethodFilter,
+      payment: paymentFilter,
+      minAmount,
+      maxAmount,
+      sort: sortOrder,
+      ...overrides
+    });
   }
 
   const resetFilters = () => {
+    setSearch('');
     setStartDate('');
     setEndDate('');
     setStatusFilter('');
-    setOrders([...allOrders].sort((a, b) => {
-      return sortOrder === 'asc'
-        ? new Date(a.date) - new Date(b.date)
-        : new Date(b.date) - new Date(a.date);
-    }));
+    setPaymentMethodFilter('');
+    setPaymentFilter('');
+    setMinAmount('');
+    setMaxAmount('');
+    applyFilters({ search: '', startDate: '', endDate: '', status: '', paymentMethod: '', payment: '', minAmount: '', maxAmount: '' });
+  }
+
+  // Delivered cash-on-delivery orders whose money hasn't been recorded yet
+  const showUnpaidDeliveredCod = () => {
+    setStatusFilter('Delivered');
+    setPaymentMethodFilter('COD');
+    setPaymentFilter('pending');
+    applyFilters({ status: 'Delivered', paymentMethod: 'COD', payment: 'pending' });
   }
 
   const handleQuickDateFilter = (filter) => {
@@ -138,70 +282,48 @@ const Orders = ({ token }) => {
     }
     
     // Format dates for input fields
-    setStartDate(startDateValue.toISOString().split('T')[0]);
-    setEndDate(endDateValue.toISOString().split('T')[0]);
+    const start = startDateValue.toISOString().split('T')[0];
+    const end = endDateValue.toISOString().split('T')[0];
+    setStartDate(start);
+    setEndDate(end);
     
     // Apply the filters with new date range
-    setTimeout(() => {
-      applyFilters();
-    }, 0);
+    applyFilters({ startDate: start, endDate: end });
   }
 
   const toggleSortOrder = () => {
     const newSortOrder = sortOrder === 'desc' ? 'asc' : 'desc';
     setSortOrder(newSortOrder);
-    
-    // Re-sort the current orders
-    setOrders(prevOrders => {
-      return [...prevOrders].sort((a, b) => {
-        return newSortOrder === 'asc'
-          ? new Date(a.date) - new Date(b.date)
-          : new Date(b.date) - new Date(a.date);
-      });
-    });
+    applyFilters({ sort: newSortOrder });
   }
 
-  // Apply filters whenever the filter states or sort order changes
-  useEffect(() => {
-    if (allOrders.length > 0) {
-      applyFilters();
-    }
-  }, [sortOrder]);
-
   useEffect(() => {
-    fetchAllOrders();
-  }, [token]);
+    fetchOrders();
+  }, [token, filters, page]);
 
   return (
     <div>
       <h3 className="text-xl font-semibold mb-6">Order Management</h3>
       
       {/* Status summary */}
-      {!loading && allOrders.length > 0 && (
+      {statusCounts.total > 0 && (
         <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
-          {statusOptions.map((status, index) => {
-            const count = allOrders.filter(order => order.status === status).length;
+          {orderStatuses.map((status, index) => {
+            const count = statusCounts.counts[status] || 0;
             return (
               <div 
                 key={index} 
                 className="bg-white p-3 rounded-lg shadow-sm border-l-4 cursor-pointer hover:shadow-md transition-shadow"
-                style={{ 
-                  borderLeftColor: 
-                    status === "Order Placed" ? "#3b82f6" : // blue
-                    status === "Packing" ? "#eab308" : // yellow
-                    status === "Shipped" ? "#8b5cf6" : // purple
-                    status === "Out for delivery" ? "#f97316" : // orange
-                    "#22c55e" // green - Delivered
-                }}
+                style={{ borderLeftColor: statusStyle(status).color }}
                 onClick={() => {
                   setStatusFilter(status);
-                  applyFilters();
+                  applyFilters({ status });
                 }}
               >
                 <div className="text-gray-500 text-xs uppercase font-medium">{status}</div>
                 <div className="text-2xl font-bold mt-1">{count}</div>
                 <div className="text-xs text-gray-500 mt-1">
-                  {Math.round((count / allOrders.length) * 100)}% of orders
+                  {Math.round((count / statusCounts.total) * 100)}% of orders
                 </div>
               </div>
             );
@@ -210,21 +332,54 @@ const Orders = ({ token }) => {
             className="bg-white p-3 rounded-lg shadow-sm border-l-4 border-gray-400 cursor-pointer hover:shadow-md transition-shadow"
             onClick={() => {
               setStatusFilter('');
-              applyFilters();
+              applyFilters({ status: '' });
             }}
           >
             <div className="text-gray-500 text-xs uppercase font-medium">All Orders</div>
-            <div className="text-2xl font-bold mt-1">{allOrders.length}</div>
+            <div className="text-2xl font-bold mt-1">{statusCounts.total}</div>
             <div className="text-xs text-gray-500 mt-1">
               100% of orders
             </div>
           </div>
+          {[
+            { payment: 'paid', label: 'Paid', color: 'border-green-600' },
+            { payment: 'pending', label: 'Payment Pending', color: 'border-red-500' }
+          ].map(({ payment, label, color }) => (
+            <div
+              key={payment}
+              className={`bg-white p-3 rounded-lg shadow-sm border-l-4 ${color} cursor-pointer hover:shadow-md transition-shadow`}
+              onClick={() => {
+                setPaymentFilter(payment);
+                applyFilters({ payment });
+              }}
+            >
+              <div className="text-gray-500 text-xs uppercase font-medium">{label}</div>
+              <div className="text-2xl font-bold mt-1">{paymentCounts[payment]}</div>
+              <div className="text-xs text-gray-500 mt-1">
+                {paymentCounts.paid + paymentCounts.pending
+                  ? Math.round((paymentCounts[payment] / (paymentCounts.paid + paymentCounts.pending)) * 100)
+                  : 0}% of orders
+              </div>
+            </div>
+          ))}
         </div>
       )}
       
       {/* Filter section */}
       <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
         <h4 className="text-md font-medium mb-4">Filter Orders</h4>
+
+        {/* Search */}
+        <div className="mb-4">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && applyFilters()}
+            placeholder="Search by order ID, customer name, phone, email, city, zipcode or product"
+            className="w-full p-2 border rounded"
+          />
+        </div>
         
         {/* Quick date filters */}
         <div className="mb-4">
@@ -299,7 +454,7 @@ const Orders = ({ token }) => {
               className="w-full p-2 border rounded"
             >
               <option value="">All Statuses</option>
-              {statusOptions.map((status, index) => (
+              {orderStatuses.map((status, index) => (
                 <option key={index} value={status}>
                   {status}
                 </option>
@@ -307,8 +462,71 @@ const Orders = ({ token }) => {
             </select>
           </div>
         </div>
+
+        {/* Payment and amount filters */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Payment Method
+            </label>
+            <select
+              value={paymentMethodFilter}
+              onChange={(e) => setPaymentMethodFilter(e.target.value)}
+              className="w-full p-2 border rounded"
+            >
+              <option value="">All Methods</option>
+              {paymentMethods.map(method => (
+                <option key={method} value={method}>{method}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Payment Status
+            </label>
+            <select
+              value={paymentFilter}
+              onChange={(e) => setPaymentFilter(e.target.value)}
+              className="w-full p-2 border rounded"
+            >
+              <option value="">Paid and Pending</option>
+              <option value="paid">Paid</option>
+              <option value="pending">Pending</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Min Amount ({currency})
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={minAmount}
+              onChange={(e) => setMinAmount(e.target.value)}
+              className="w-full p-2 border rounded"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Max Amount ({currency})
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={maxAmount}
+              onChange={(e) => setMaxAmount(e.target.value)}
+              className="w-full p-2 border rounded"
+            />
+          </div>
+        </div>
         
         <div className="flex justify-end space-x-2">
+          <button
+            onClick={showUnpaidDeliveredCod}
+            className="mr-auto text-sm text-blue-600 hover:underline"
+          >
+            Unpaid COD orders already delivered
+          </button>
           <button
             onClick={resetFilters}
             className="px-4 py-2 border border-gray-300 rounded text-sm"
@@ -316,7 +534,7 @@ const Orders = ({ token }) => {
             Reset
           </button>
           <button
-            onClick={applyFilters}
+            onClick={() => applyFilters()}
             className="px-4 py-2 bg-black text-white rounded text-sm"
           >
             Apply Filters
@@ -324,20 +542,131 @@ const Orders = ({ token }) => {
         </div>
       </div>
       
+      {/* Bulk status update */}
+      {selectedIds.length > 0 && (
+        <div className="bg-gray-800 text-white p-3 rounded-lg mb-4 text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="mr-2">{selectedIds.length} selected</span>
+            <select
+              value={bulkStatus}
+              onChange={(e) => setBulkStatus(e.target.value)}
+              disabled={bulkProgress !== null}
+              className="p-1 rounded text-gray-800"
+            >
+              <option value="">Set status...</option>
+              {orderStatuses.map((status, index) => (
+                <option key={index} value={status}>{status}</option>
+              ))}
+            </select>
+            <button
+              onClick={requestBulkStatus}
+              disabled={!bulkStatus || !movableOrders.length || bulkProgress !== null}
+              className="px-3 py-1 bg-white text-gray-800 rounded disabled:opacity-50"
+            >
+              Apply
+            </button>
+            {bulkStatus && blockedOrders.length > 0 && (
+              <span className="text-xs text-yellow-300">
+                {blockedOrders.length} cannot move to {bulkStatus} and will be skipped
+              </span>
+            )}
+            <button
+              onClick={() => setSelectedOrders([])}
+              disabled={bulkProgress !== null}
+              className="ml-auto px-3 py-1 border border-gray-500 rounded"
+            >
+              Clear
+            </button>
+          </div>
+          {bulkProgress && (
+            <div className="mt-3">
+              <div className="w-full bg-gray-600 rounded h-2">
+                <div
+                  className="bg-green-500 h-2 rounded transition-all"
+                  style={{ width: `${Math.round((bulkProgress.done / bulkProgress.total) * 100)}%` }}
+                ></div>
+              </div>
+              <p className="text-xs mt-1">{bulkProgress.done} / {bulkProgress.total} updated</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {bulkReasonOpen && (
+        <StatusChangeModal
+          title={`Set ${movableOrders.length} orders to ${bulkStatus}`}
+          description="Some of these orders leave the regular flow, so the change needs a reason."
+          onConfirm={applyBulkStatus}
+          onClose={() => setBulkReasonOpen(false)}
+        />
+      )}
+
+      {bulkFailures.length > 0 && (
+        <div className="bg-red-50 border border-red-200 p-4 rounded mb-4 text-sm">
+          <div className="flex justify-between items-center mb-2">
+            <p className="font-medium text-red-700">These orders were not updated and are still selected:</p>
+            <button onClick={() => setBulkFailures([])} className="text-red-700">✕</button>
+          </div>
+          <ul className="list-disc pl-5 text-red-700">
+            {bulkFailures.map(({ item, message }) => (
+              <li key={item}>#{item}: {message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Order sorting and summary */}
       <div className="flex justify-between items-center mb-4">
-        <div className="text-sm text-gray-600">
-          Showing {orders.length} of {allOrders.length} orders
-        </div>
-        <button 
-          onClick={toggleSortOrder}
-          className="flex items-center text-sm text-gray-700 px-2 py-1 border rounded"
-        >
-          Sort by Date 
-          <span className="ml-1">
-            {sortOrder === 'desc' ? '↓ (Newest first)' : '↑ (Oldest first)'}
+        <div className="flex items-center gap-4 text-sm text-gray-600">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={pageSelected} onChange={toggleSelectPage} />
+            Select page
+          </label>
+          {total > orders.length && selectedIds.length < total && (
+            <button
+              onClick={selectAllFiltered}
+              disabled={selectingAll}
+              className="text-blue-600 hover:underline disabled:opacity-50"
+            >
+              {selectingAll ? 'Selecting...' : `Select all ${total} filtered`}
+            </button>
+          )}
+          <span>
+            Showing {total ? (page - 1) * PAGE_SIZE + 1 : 0}–{(page - 1) * PAGE_SIZE + orders.length} of {total} orders
           </span>
-        </button>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setExportOpen(true)}
+            disabled={!total}
+            className="text-sm text-gray-700 px-2 py-1 border rounded disabled:opacity-50"
+          >
+            Export
+          </button>
+          <button
+            onClick={() => printFiltered('invoice')}
+            disabled={!total}
+            className="text-sm text-gray-700 px-2 py-1 border rounded disabled:opacity-50"
+          >
+            Print Invoices
+          </button>
+          <button
+            onClick={() => printFiltered('slip')}
+            disabled={!total}
+            className="text-sm text-gray-700 px-2 py-1 border rounded disabled:opacity-50"
+          >
+            Print Packing Slips
+          </button>
+          <button 
+            onClick={toggleSortOrder}
+            className="flex items-center text-sm text-gray-700 px-2 py-1 border rounded"
+          >
+            Sort by Date 
+            <span className="ml-1">
+              {sortOrder === 'desc' ? '↓ (Newest first)' : '↑ (Oldest first)'}
+            </span>
+          </button>
+        </div>
       </div>
       
       {/* Orders list */}
@@ -351,29 +680,48 @@ const Orders = ({ token }) => {
         <div>
           {orders.map((order, index) => (
             <div className='grid grid-cols-1 sm:grid-cols-[0.5fr_2fr_1fr] lg:grid-cols-[0.5fr_2fr_1fr_1fr_1fr] gap-3 items-start border-2 border-gray-200 p-5 md:p-8 my-3 md:my-4 text-xs sm:text-sm text-gray-700' key={index}>
-              <img className='w-12' src={assets.parcel_icon} alt="" />
+              <div className='flex items-start gap-3'>
+                <input type='checkbox' checked={selectedIds.includes(order._id)} onChange={() => toggleSelected(order)} className='mt-1' />
+                <img className='w-12' src={assets.parcel_icon} alt="" />
+              </div>
               <div>
                 <div>
                   {order.items.map((item, index) => {
                     if (index === order.items.length - 1) {
-                      return <p className='py-0.5' key={index}> {item.name} x {item.quantity} <span> {item.size} </span> </p>
+                      return <p className='py-0.5' key={index}> <Highlight text={item.name} query={filters.search} /> x {item.quantity} <span> {describeVariant(item)} </span> </p>
                     }
                     else {
-                      return <p className='py-0.5' key={index}> {item.name} x {item.quantity} <span> {item.size} </span> ,</p>
+                      return <p className='py-0.5' key={index}> <Highlight text={item.name} query={filters.search} /> x {item.quantity} <span> {describeVariant(item)} </span> ,</p>
                     }
                   })}
                 </div>
-                <p className='mt-3 mb-2 font-medium'>{order.address.firstName + " " + order.address.lastName}</p>
+                <p className='mt-3 mb-2 font-medium'>
+                  <Highlight text={order.address.firstName} query={filters.search} /> <Highlight text={order.address.lastName} query={filters.search} />
+                </p>
                 <div>
                   <p>{order.address.street + ","}</p>
-                  <p>{order.address.city + ", " + order.address.state + ", " + order.address.country + ", " + order.address.zipcode}</p>
+                  <p>
+                    <Highlight text={order.address.city} query={filters.search} />
+                    {", " + order.address.state + ", " + order.address.country + ", "}
+                    <Highlight text={order.address.zipcode} query={filters.search} />
+                  </p>
                 </div>
-                <p>{order.address.phone}</p>
+                <p><Highlight text={order.address.phone} query={filters.search} /></p>
+                {order.address.email && <p><Highlight text={order.address.email} query={filters.search} /></p>}
+                <p className='mt-2 text-xs text-gray-500'>#<Highlight text={order._id} query={filters.search} /></p>
               </div>
               <div>
                 <p className='text-sm sm:text-[15px]'>Items: {order.items.length}</p>
+                <Link to={`/orders/${order._id}`} className='text-blue-600 hover:underline'>View details</Link>
+                <div className='flex gap-2 text-xs'>
+                  <button onClick={() => setPrintJob({ type: 'invoice', orders: [order] })} className='text-blue-600 hover:underline'>Invoice</button>
+                  <button onClick={() => setPrintJob({ type: 'slip', orders: [order] })} className='text-blue-600 hover:underline'>Packing slip</button>
+                </div>
                 <p className='mt-3'>Method: {order.paymentMethod}</p>
                 <p>Payment: {order.payment ? 'Done' : 'Pending'}</p>
+                {awaitsCollection(order) && (
+                  <button onClick={() => setPaymentOrder(order)} className='text-xs text-blue-600 hover:underline'>Mark as paid</button>
+                )}
                 <p>Date: {new Date(order.date).toLocaleDateString('en-US', {
                   year: 'numeric',
                   month: 'short',
@@ -383,31 +731,57 @@ const Orders = ({ token }) => {
               <p className='text-sm sm:text-[15px]'>{currency}{order.amount}</p>
               <div>
                 <div className="flex items-center mb-2">
-                  <span 
-                    className={`inline-block w-3 h-3 rounded-full mr-2 ${
-                      order.status === "Order Placed" ? "bg-blue-500" :
-                      order.status === "Packing" ? "bg-yellow-500" :
-                      order.status === "Shipped" ? "bg-purple-500" :
-                      order.status === "Out for delivery" ? "bg-orange-500" :
-                      "bg-green-500" // Delivered
-                    }`}
-                  ></span>
+                  <span className={`inline-block w-3 h-3 rounded-full mr-2 ${statusStyle(order.status).dot}`}></span>
                   <span className="text-xs font-medium text-gray-500">
                     Current Status
                   </span>
                 </div>
-                <select onChange={(event) => statusHandler(event, order._id)} value={order.status} className='w-full p-2 font-semibold'>
-                  <option value="Order Placed">Order Placed</option>
-                  <option value="Packing">Packing</option>
-                  <option value="Shipped">Shipped</option>
-                  <option value="Out for delivery">Out for delivery</option>
-                  <option value="Delivered">Delivered</option>
-                </select>
+                <StatusSelect
+                  status={order.status}
+                  onChange={(status, reason) => statusHandler(order._id, status, reason)}
+                  className='w-full p-2 font-semibold'
+                />
               </div>
             </div>
           ))}
         </div>
       )}
+
+      {pages > 1 && (
+        <div className='flex justify-center items-center gap-2 mt-4 text-sm'>
+          <button
+            onClick={() => goToPage(page - 1)}
+            disabled={page === 1 || loading}
+            className='px-3 py-1 border rounded disabled:opacity-50'
+          >
+            Prev
+          </button>
+          <span>Page {page} of {pages}</span>
+          <button
+            onClick={() => goToPage(page + 1)}
+            disabled={page === pages || loading}
+            className='px-3 py-1 border rounded disabled:opacity-50'
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <OrderDocuments job={printJob} onDone={() => setPrintJob(null)} />
+
+      {paymentOrder && (
+        <PaymentModal
+          order={paymentOrder}
+          token={token}
+          onClose={() => setPaymentOrder(null)}
+          onSaved={() => {
+            setPaymentOrder(null);
+            fetchOrders();
+          }}
+        />
+      )}
+
+      {exportOpen && <ExportOrdersModal count={total} loadOrders={loadFilteredOrders} onClose={() => setExportOpen(false)} />}
     </div>
   )
 }
@@ -0,0 +1,127 @@
+import axios from 'axios'
+import { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { backendUrl, currency } from '../App'
+import { toast } from 'react-toastify'
+
+const Trash = ({ token }) => {
+
+  const [list, setList] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const fetchTrash = useCallback(async () => {
+    setLoading(true)
+    try {
+
+      const response = await axios.get(backendUrl + '/api/product/trash', { headers: { token } })
+      if (response.data.success) {
+        setList(response.data.products)
+      }
+      else {
+        toast.error(response.data.message)
+      }
+
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [token])
+
+  const restoreProduct = async (id) => {
+    try {
+
+      const response = await axios.post(backendUrl + '/api/product/restore', { id }, { headers: { token } })
+
+      if (response.data.success) {
+        toast.success(response.data.message)
+        await fetchTrash()
+      } else {
+        toast.error(response.data.message)
+      }
+
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    }
+  }
+
+  const purgeProduct = async (item) => {
+    if (!window.confirm(`Permanently delete "${item.name}"? This cannot be undone.`)) {
+      return
+    }
+
+    try {
+
+      const response = await axios.post(backendUrl + '/api/product/purge', { id: item._id }, { headers: { token } })
+
+      if (response.data.success) {
+        toast.success(response.data.message)
+        await fetchTrash()
+      } else {
+        toast.error(response.data.message)
+      }
+
+    } catch (error) {
+      console.log(error)
+      toast.error(error.message)
+    }
+  }
+
+  useEffect(() => {
+    fetchTrash()
+  }, [fetchTrash])
+
+  return (
+    <>
+      <p className='mb-2'>Trash</p>
+      <div className='flex flex-col gap-2'>
+
+        {/* ------- Trash Table Title ---------- */}
+
+        <div className='hidden md:grid grid-cols-[1fr_3fr_1fr_1fr_1fr_1.5fr] items-center py-1 px-2 border bg-gray-100 text-sm'>
+          <b>Image</b>
+          <b>Name</b>
+          <b>Category</b>
+          <b>Price</b>
+          <b>Deleted</b>
+          <b className='text-center'>Action</b>
+        </div>
+
+        {/* ------ Trashed Products ------ */}
+
+        {loading ? (
+          <div className='text-center py-8'>Loading trash...</div>
+        ) : list.length === 0 ? (
+          <div className='text-center py-8 text-gray-500'>Trash is empty</div>
+        ) : (
+          list.map((item) => (
+            <div className='grid grid-cols-[1fr_3fr_1fr] md:grid-cols-[1fr_3fr_1fr_1fr_1fr_1.5fr] items-center gap-2 py-1 px-2 border text-sm' key={item._id}>
+              <img className='w-12' src={item.image[0]} alt="" />
+              <p>{item.name}</p>
+              <p>{item.category}</p>
+              <p>{currency}{item.price}</p>
+              <p>{item.deletedAt ? new Date(item.deletedAt).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+              }) : '-'}</p>
+              <div className='flex justify-end md:justify-center items-center gap-3'>
+                <p onClick={() => restoreProduct(item._id)} className='cursor-pointer text-blue-600 hover:underline'>Restore</p>
+                <p onClick={() => purgeProduct(item)} className='cursor-pointer text-red-600 hover:underline'>Delete Forever</p>
+              </div>
+            </div>
+          ))
+        )}
+
+      </div>
+    </>
+  )
+}
+
+Trash.propTypes = {
+  token: PropTypes.string.isRequired
+}
+
+export default Trash
@@ -0,0 +1,20 @@
+// Runs `task` for every item one after another so the backend isn't flooded,
+// reporting progress after each item. Failures are collected instead of
+// aborting the run, so callers can report them all at the end.
+export const runBatch = async (items, task, onProgress) => {
+  const succeeded = [];
+  const failed = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    try {
+      await task(item, i);
+      succeeded.push(item);
+    } catch (error) {
+      failed.push({ item, message: error.message });
+    }
+    onProgress && onProgress(i + 1, items.length);
+  }
+
+  return { succeeded, failed };
+};
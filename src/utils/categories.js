@@ -0,0 +1,23 @@
+// Helpers over the category taxonomy returned by /api/category/list:
+// [{ _id, name, archived, subCategories: [{ _id, name, archived }] }], already in display order
+
+export const activeOnly = (items) => items.filter(item => !item.archived);
+
+export const categoryNames = (categories, includeArchived = false) =>
+  (includeArchived ? categories : activeOnly(categories)).map(category => category.name);
+
+export const subCategoryNames = (categories, categoryName, includeArchived = false) => {
+  const category = categories.find(item => item.name === categoryName);
+  if (!category) return [];
+  const subCategories = includeArchived ? category.subCategories : activeOnly(category.subCategories);
+  return subCategories.map(subCategory => subCategory.name);
+};
+
+// Every distinct subcategory name across categories, for filters that don't depend on a category
+export const allSubCategoryNames = (categories, includeArchived = false) => [
+  ...new Set(categories.flatMap(category => subCategoryNames(categories, category.name, includeArchived)))
+];
+
+// Keeps a value that is no longer on offer (e.g. archived) selectable while editing
+export const withCurrent = (options, current) =>
+  current && !options.includes(current) ? [...options, current] : options;
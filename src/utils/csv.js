@@ -0,0 +1,66 @@
+// Minimal RFC 4180 parser: handles quoted fields, escaped quotes ("") and
+// line breaks inside quotes. Returns one object per row keyed by the header.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  const keys = header.map(key => key.trim());
+
+  return body.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = (cells[index] ?? '').trim();
+    });
+    return record;
+  });
+};
+
+// Quotes fields that contain separators, quotes or line breaks
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Inverse of parseCsv: `rows` is an array of arrays, the first one being the header
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
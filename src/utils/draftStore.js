@@ -0,0 +1,47 @@
+// Product drafts live in IndexedDB so picked image files survive a reload
+// alongside the text fields. Each draft: { id, updatedAt, values, images }.
+
+const DB_NAME = 'admin-drafts';
+const STORE = 'productDrafts';
+const VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const newDraftId = () => `draft-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const saveDraft = (draft) => withStore('readwrite', store => store.put({ ...draft, updatedAt: Date.now() }));
+
+export const deleteDraft = (id) => withStore('readwrite', store => store.delete(id));
+
+// Most recently edited first
+export const listDrafts = async () => {
+  const drafts = await withStore('readonly', store => store.getAll());
+  return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+};
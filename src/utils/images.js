@@ -0,0 +1,106 @@
+export const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Files above this are rejected before we even try to decode them
+const MAX_SOURCE_SIZE = 20 * 1024 * 1024;
+// Limit for what is actually uploaded, after resizing
+const MAX_UPLOAD_SIZE = 2 * 1024 * 1024;
+// Longest edge of an uploaded image in pixels
+const MAX_DIMENSION = 1600;
+// Quality for JPEG and WebP output
+const ENCODE_QUALITY = 0.85;
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+let nextId = 0;
+
+// An image entry is either a freshly picked File or the URL of an image already
+// on the product. `preview` is what the thumbnail shows.
+export const makeImageItem = (source) => ({
+  id: `image-${Date.now()}-${nextId++}`,
+  source,
+  preview: typeof source === 'string' ? source : URL.createObjectURL(source)
+});
+
+export const releaseImageItem = (item) => {
+  if (typeof item.source !== 'string') {
+    URL.revokeObjectURL(item.preview);
+  }
+};
+
+// Output formats to try for each input, in order. Each keeps the source's
+// format first; PNGs fall back to WebP before JPEG since both PNG and WebP
+// keep transparency.
+const ENCODINGS = {
+  'image/png': ['image/png', 'image/webp', 'image/jpeg'],
+  'image/webp': ['image/webp', 'image/jpeg'],
+  'image/jpeg': ['image/jpeg']
+};
+
+const EXTENSIONS = { 'image/png': 'png', 'image/webp': 'webp', 'image/jpeg': 'jpg' };
+
+const canvasToBlob = (canvas, type) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    blob => blob ? resolve(blob) : reject(new Error('Could not encode image')),
+    type,
+    ENCODE_QUALITY
+  );
+});
+
+// JPEG has no alpha channel, so transparent areas are painted white instead of black
+const fillBackground = (canvas) => {
+  const context = canvas.getContext('2d');
+  context.globalCompositeOperation = 'destination-over';
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+};
+
+// Scales the image down so its longest edge fits MAX_DIMENSION and re-encodes it
+// until it fits MAX_UPLOAD_SIZE. Images that already fit both are returned as is;
+// the last attempt is returned if none fits.
+export const resizeImage = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+
+  if (scale === 1 && file.size <= MAX_UPLOAD_SIZE) {
+    bitmap.close();
+    return file;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  let result = null;
+  for (const type of ENCODINGS[file.type] || ['image/jpeg']) {
+    if (type === 'image/jpeg') fillBackground(canvas);
+    const blob = await canvasToBlob(canvas, type);
+    // Browsers that can't encode a format fall back to PNG
+    if (blob.type !== type) continue;
+
+    const name = file.name.replace(/\.[^.]+$/, '') + '.' + EXTENSIONS[type];
+    result = new File([blob], name, { type, lastModified: Date.now() });
+    if (result.size <= MAX_UPLOAD_SIZE) break;
+  }
+
+  return result || file;
+};
+
+// Checks type and size, resizes, and resolves with the file to upload.
+// Rejects with a message that can be shown to the user.
+export const prepareImage = async (file) => {
+  if (!ACCEPTED_TYPES.includes(file.type)) {
+    throw new Error(`${file.name}: only JPEG, PNG and WebP images are allowed`);
+  }
+  if (file.size > MAX_SOURCE_SIZE) {
+    throw new Error(`${file.name}: file is larger than ${formatSize(MAX_SOURCE_SIZE)}`);
+  }
+
+  const resized = await resizeImage(file);
+
+  if (resized.size > MAX_UPLOAD_SIZE) {
+    throw new Error(`${file.name}: image is still larger than ${formatSize(MAX_UPLOAD_SIZE)} after compressing`);
+  }
+  return resized;
+};
@@ -0,0 +1,17 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+marked.setOptions({ gfm: true, breaks: true });
+
+// Links in descriptions open in a new tab and never get access to the admin window
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Markdown to HTML with scripts, event handlers and other unsafe markup stripped.
+// Everything that displays a description goes through here.
+export const renderMarkdown = (source) =>
+  DOMPurify.sanitize(marked.parse(source || ''));
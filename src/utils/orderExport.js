@@ -0,0 +1,96 @@
+import { toCsv } from './csv';
+import { customerName } from './orders';
+import { describeVariant } from './variants';
+
+const COLUMNS_KEY = 'orderExportColumns';
+
+export const exportColumns = [
+  { key: 'id', label: 'Order ID', value: (order) => order._id },
+  { key: 'date', label: 'Date', value: (order) => new Date(order.date).toISOString() },
+  { key: 'customer', label: 'Customer', value: customerName },
+  {
+    key: 'address',
+    label: 'Address',
+    value: ({ address }) => [address.street, address.city, address.state, address.country, address.zipcode].filter(Boolean).join(', ')
+  },
+  { key: 'phone', label: 'Phone', value: (order) => order.address.phone },
+  {
+    key: 'items',
+    label: 'Items',
+    value: (order) => order.items
+      .map(item => {
+        const variant = describeVariant(item);
+        return `${item.name}${variant ? ` (${variant})` : ''} x ${item.quantity}`;
+      })
+      .join('; ')
+  },
+  { key: 'amount', label: 'Amount', value: (order) => order.amount },
+  { key: 'paymentMethod', label: 'Payment Method', value: (order) => order.paymentMethod },
+  { key: 'payment', label: 'Payment Status', value: (order) => order.payment ? 'Paid' : 'Pending' },
+  { key: 'status', label: 'Status', value: (order) => order.status }
+];
+
+const allColumnKeys = exportColumns.map(column => column.key);
+
+// The column picker remembers the last selection
+export const getExportColumns = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLUMNS_KEY));
+    const keys = Array.isArray(stored) ? stored.filter(key => allColumnKeys.includes(key)) : [];
+    return keys.length ? keys : allColumnKeys;
+  } catch (error) {
+    console.log(error);
+    return allColumnKeys;
+  }
+};
+
+export const setExportColumns = (keys) => {
+  localStorage.setItem(COLUMNS_KEY, JSON.stringify(keys));
+};
+
+// Customers fill in names and addresses themselves. In a CSV, text that a
+// spreadsheet would read as a formula is prefixed with ' so it stays plain text.
+// Plain numbers such as international phone numbers (+94 …) can't do any harm
+// and are left as they are.
+const plainNumber = /^[+-]?[\d\s().-]+$/;
+
+const neutralizeFormula = (value) =>
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) && !plainNumber.test(value) ? `'${value}` : value;
+
+// Header row followed by one row per order, in the column order above
+export const buildOrderRows = (orders, keys) => {
+  const columns = exportColumns.filter(column => keys.includes(column.key));
+  return [
+    columns.map(column => column.label),
+    ...orders.map(order => columns.map(column => column.value(order)))
+  ];
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const exportOrders = async (orders, keys, format) => {
+  const rows = buildOrderRows(orders, keys);
+  const fileName = `orders-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  if (format === 'xlsx') {
+    // The spreadsheet writer is only loaded when someone exports to Excel.
+    // Text cells are written with an explicit type so none becomes a formula,
+    // which is why they don't need the CSV guard.
+    const { default: writeExcelFile } = await import('write-excel-file/browser');
+    const sheetData = rows.map(row => row.map(value =>
+      typeof value === 'number' ? { value, type: Number } : { value: value ?? '', type: String }
+    ));
+    await writeExcelFile(sheetData, { sheet: 'Orders' }).toFile(fileName);
+  } else {
+    // BOM so Excel opens the file as UTF-8
+    const csv = toCsv(rows.map(row => row.map(neutralizeFormula)));
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), fileName);
+  }
+};
@@ -0,0 +1,64 @@
+// The order lifecycle. Orders move forward through `orderFlow` one step at a
+// time; Cancelled and Returned end it. Any other move (going back, or skipping
+// ahead) is an override that has to be confirmed with a reason.
+
+export const orderFlow = [
+  "Order Placed",
+  "Packing",
+  "Shipped",
+  "Out for delivery",
+  "Delivered"
+];
+
+export const orderStatuses = [...orderFlow, "Cancelled", "Returned"];
+
+// Regular next steps from each status
+export const transitions = {
+  "Order Placed": ["Packing", "Cancelled"],
+  "Packing": ["Shipped", "Cancelled"],
+  "Shipped": ["Out for delivery", "Returned"],
+  "Out for delivery": ["Delivered", "Returned"],
+  "Delivered": ["Returned"],
+  "Cancelled": [],
+  "Returned": []
+};
+
+// Cancelled and Returned are final
+export const isFinal = (status) => transitions[status] && transitions[status].length === 0;
+
+export const nextStatuses = (status) => transitions[status] || [];
+
+// Backward and skip-ahead moves within the flow
+export const overrideStatuses = (status) => {
+  if (!orderFlow.includes(status)) return [];
+  return orderFlow.filter(target => target !== status && !nextStatuses(status).includes(target));
+};
+
+export const isAllowed = (from, to) =>
+  nextStatuses(from).includes(to) || overrideStatuses(from).includes(to);
+
+// Overrides, cancellations and returns all need a written reason
+export const requiresReason = (from, to) =>
+  overrideStatuses(from).includes(to) || to === "Cancelled" || to === "Returned";
+
+export const describeTransition = (from, to) => {
+  if (to === "Cancelled") return "Cancel this order";
+  if (to === "Returned") return "Mark this order as returned";
+  const fromIndex = orderFlow.indexOf(from);
+  const toIndex = orderFlow.indexOf(to);
+  if (toIndex < fromIndex) return `Move back from "${from}" to "${to}"`;
+  return `Skip ahead from "${from}" to "${to}"`;
+};
+
+// Same palette as the Orders and Dashboard pages
+export const statusStyles = {
+  "Order Placed": { color: "#3b82f6", dot: "bg-blue-500", badge: "bg-blue-100 text-blue-800" },
+  "Packing": { color: "#eab308", dot: "bg-yellow-500", badge: "bg-yellow-100 text-yellow-800" },
+  "Shipped": { color: "#8b5cf6", dot: "bg-purple-500", badge: "bg-purple-100 text-purple-800" },
+  "Out for delivery": { color: "#f97316", dot: "bg-orange-500", badge: "bg-orange-100 text-orange-800" },
+  "Delivered": { color: "#22c55e", dot: "bg-green-500", badge: "bg-green-100 text-green-800" },
+  "Cancelled": { color: "#ef4444", dot: "bg-red-500", badge: "bg-red-100 text-red-800" },
+  "Returned": { color: "#6b7280", dot: "bg-gray-500", badge: "bg-gray-200 text-gray-800" }
+};
+
+export const statusStyle = (status) => statusStyles[status] || { color: "#9ca3af", dot: "bg-gray-400", badge: "bg-gray-100 text-gray-800" };
@@ -0,0 +1,156 @@
+import axios from 'axios';
+import { backendUrl } from '../App';
+import { itemUnitPrice } from './pricing';
+
+// Sets an order's status. The backend appends the change, with its time, the
+// admin behind the token and any `reason` in `extra`, to the order's statusHistory.
+// Resolves with the status response; rejects when the change is refused.
+export const updateOrderStatus = async (token, orderId, status, extra = {}) => {
+  // Only the target status is sent. The status handler takes stock off the shelf
+  // when the order first reaches Packing or a later step and puts it back when it
+  // leaves them, judged by the order's stored `stockDeducted` flag and in the same
+  // write as the status, so a stale copy of the order here can't count it twice.
+  const response = await axios.post(backendUrl + '/api/order/status', { orderId, status, ...extra }, { headers: { token } });
+  if (!response.data.success) {
+    throw new Error(response.data.message);
+  }
+  return response.data;
+};
+
+// Payment methods offered at checkout
+export const paymentMethods = ['COD', 'Stripe', 'Razorpay'];
+
+// Turns 'YYYY-MM-DD' values from date inputs into the local start and end of those days
+export const dayBounds = (startDate, endDate) => ({
+  from: startDate ? new Date(`${startDate}T00:00:00`) : null,
+  to: endDate ? new Date(`${endDate}T23:59:59.999`) : null
+});
+
+// 'YYYY-MM-DD' for a date input, in local time like dayBounds
+export const toDateInput = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Query parameters understood by the order list and status count endpoints
+export const orderQuery = ({ search, from, to, status, paymentMethod, payment, minAmount, maxAmount, sort } = {}) => {
+  const params = {};
+  // Matched by the backend against the order id, customer name, phone, email,
+  // city, zipcode and item names
+  if (search) params.search = search;
+  if (from) params.startDate = from.toISOString();
+  if (to) params.endDate = to.toISOString();
+  if (status) params.status = status;
+  if (paymentMethod) params.paymentMethod = paymentMethod;
+  // 'paid' or 'pending'
+  if (payment) params.payment = payment;
+  if (minAmount !== '' && minAmount !== undefined) params.minAmount = minAmount;
+  if (maxAmount !== '' && maxAmount !== undefined) params.maxAmount = maxAmount;
+  if (sort) params.sort = sort;
+  return params;
+};
+
+// One page of orders matching `filters`: { orders, total, page, pages }
+export const listOrders = async (token, filters, page, limit) => {
+  const response = await axios.post(backendUrl + '/api/order/list', {}, {
+    headers: { token },
+    params: { ...orderQuery(filters), page, limit }
+  });
+  if (!response.data.success) {
+    throw new Error(response.data.message);
+  }
+  return response.data;
+};
+
+// Every order matching `filters`, fetched page by page
+export const listAllOrders = async (token, filters, limit = 100) => {
+  const orders = [];
+  let page = 1;
+  let pages = 1;
+  do {
+    const data = await listOrders(token, filters, page, limit);
+    orders.push(...data.orders);
+    pages = data.pages;
+    page++;
+  } while (page <= pages);
+  return orders;
+};
+
+// Number of orders per status and per payment state, aggregated by the backend:
+// { counts, total, payments: { paid, pending } }
+export const orderStatusCounts = async (token, filters) => {
+  const response = await axios.post(backendUrl + '/api/order/status-counts', {}, {
+    headers: { token },
+    params: orderQuery(filters)
+  });
+  if (!response.data.success) {
+    throw new Error(response.data.message);
+  }
+  return {
+    counts: response.data.counts,
+    total: response.data.total,
+    payments: response.data.payments || { paid: 0, pending: 0 }
+  };
+};
+
+// Records money received for an order, e.g. cash collected on delivery.
+// `payment` is { amount, date, reference }; the backend marks the order as paid.
+export const recordPayment = async (token, orderId, payment) => {
+  const response = await axios.post(backendUrl + '/api/order/payment', { orderId, ...payment }, { headers: { token } });
+  if (!response.data.success) {
+    throw new Error(response.data.message);
+  }
+  return response.data;
+};
+
+// Units sold, revenue and number of orders for one product, aggregated by the
+// backend at the prices each order was placed at: { units, revenue, orders }
+export const productSales = async (token, productId) => {
+  const response = await axios.post(backendUrl + '/api/order/product-sales', { productId }, { headers: { token } });
+  if (!response.data.success) {
+    throw new Error(response.data.message);
+  }
+  return response.data.sales;
+};
+
+// Cash on delivery stays pending until someone records the money
+export const awaitsCollection = (order) => order.paymentMethod === 'COD' && !order.payment;
+
+// Revenue totals and a time series for the orders matching `filters`, aggregated
+// by the backend so the Dashboard never downloads the orders themselves.
+// `interval` ('day' or 'month') sets the size of the series buckets, which start
+// at local midnight in the browser's time zone. Resolves with
+// { totals: { orders, income, collected, outstanding, saleUnits, saleRevenue,
+//   fullPriceUnits, fullPriceRevenue }, series: [{ date, orders, income }] }.
+// `collected` is what was actually received, which for COD can differ from the
+// order amount; `outstanding` leaves out unpaid orders that were cancelled or returned.
+export const orderSummary = async (token, filters, interval) => {
+  const response = await axios.post(backendUrl + '/api/order/summary', {}, {
+    headers: { token },
+    params: {
+      ...orderQuery(filters),
+      interval,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    }
+  });
+  if (!response.data.success) {
+    throw new Error(response.data.message);
+  }
+  return { totals: response.data.totals, series: response.data.series };
+};
+
+export const customerName = (order) => `${order.address.firstName} ${order.address.lastName}`;
+
+export const formatOrderDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+export const formatAddress = (address) =>
+  `${address.city}, ${address.state}, ${address.country}, ${address.zipcode}`;
+
+// Item total at the prices the order was placed at; the rest of `amount` is shipping
+export const orderSubtotal = (order) =>
+  order.items.reduce((sum, item) => sum + itemUnitPrice(item, order.date) * item.quantity, 0);
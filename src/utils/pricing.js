@@ -0,0 +1,31 @@
+import { variantPrice } from './variants';
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// The sale price if one is set and `at` falls inside its optional start/end window
+export const activeSalePrice = (product, at = new Date()) => {
+  if (!hasValue(product.salePrice)) return null;
+  const time = new Date(at).getTime();
+  if (hasValue(product.saleStart) && time < new Date(product.saleStart).getTime()) return null;
+  if (hasValue(product.saleEnd) && time > new Date(product.saleEnd).getTime()) return null;
+  return Number(product.salePrice);
+};
+
+// A sale that is set up but hasn't started yet
+export const upcomingSale = (product, at = new Date()) =>
+  hasValue(product.salePrice) &&
+  hasValue(product.saleStart) &&
+  new Date(at).getTime() < new Date(product.saleStart).getTime();
+
+// Order items carry a snapshot of the product at purchase time. Newer orders
+// flag sale units directly; older ones are worked out from the snapshot.
+export const isSaleItem = (item, orderDate) => {
+  if (typeof item.onSale === 'boolean') return item.onSale;
+  return activeSalePrice(item, orderDate) !== null;
+};
+
+// Sale units go at the sale price; the rest at the variant's price override, if any
+export const itemUnitPrice = (item, orderDate) => {
+  if (isSaleItem(item, orderDate)) return Number(item.salePrice);
+  return variantPrice(item, item.color, item.size) ?? Number(item.price);
+};
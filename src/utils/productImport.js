@@ -0,0 +1,79 @@
+import { parseCsv } from './csv';
+import { MAX_IMAGES } from './productOptions';
+import { validateProduct } from './productSchema';
+import { renderMarkdown } from './markdown';
+
+// CSV cells hold lists as "S|M|L"; JSON files may use real arrays
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (value === undefined || value === null) return [];
+  return String(value).split('|').map(v => v.trim()).filter(Boolean);
+};
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', '1'].includes(String(value ?? '').trim().toLowerCase());
+};
+
+// Accepts either an `images` list or separate image1..image4 columns
+const collectImages = (raw) => {
+  const images = toList(raw.images);
+  for (let i = 1; i <= MAX_IMAGES; i++) {
+    const value = raw[`image${i}`];
+    if (value && String(value).trim()) images.push(String(value).trim());
+  }
+  return images;
+};
+
+export const normalizeRow = (raw) => ({
+  name: String(raw.name ?? '').trim(),
+  description: String(raw.description ?? '').trim(),
+  price: String(raw.price ?? '').trim(),
+  category: String(raw.category ?? '').trim(),
+  subCategory: String(raw.subCategory ?? '').trim(),
+  sizes: toList(raw.sizes),
+  bestseller: toBoolean(raw.bestseller),
+  images: collectImages(raw)
+});
+
+export const validateRow = (row, categories) => Object.values(validateProduct(row, { categories }));
+
+// Parses an uploaded .csv or .json file into normalized rows, validated
+// against the active categories
+export const parseProductFile = (fileName, text, categories) => {
+  let records;
+
+  if (fileName.toLowerCase().endsWith('.json')) {
+    const data = JSON.parse(text);
+    records = Array.isArray(data) ? data : data.products;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON file must contain an array of products');
+    }
+  } else {
+    records = parseCsv(text);
+  }
+
+  return records.map((raw, index) => {
+    const row = normalizeRow(raw);
+    return { line: index + 1, row, errors: validateRow(row, categories) };
+  });
+};
+
+// Builds the same FormData the Add form sends. Image URLs go in the imageN
+// fields as plain strings, like already uploaded images on the edit form.
+export const buildProductFormData = (row) => {
+  const formData = new FormData();
+
+  formData.append("name", row.name);
+  formData.append("description", row.description);
+  formData.append("descriptionHtml", renderMarkdown(row.description));
+  formData.append("price", row.price);
+  formData.append("category", row.category);
+  formData.append("subCategory", row.subCategory);
+  formData.append("bestseller", row.bestseller);
+  formData.append("sizes", JSON.stringify(row.sizes));
+
+  row.images.forEach((url, index) => formData.append(`image${index + 1}`, url));
+
+  return formData;
+};
@@ -0,0 +1,4 @@
+export const sizeOptions = ["S", "M", "L", "XL", "XXL"];
+
+// The product endpoints accept image1..image4
+export const MAX_IMAGES = 4;
@@ -0,0 +1,141 @@
+import { sizeOptions, MAX_IMAGES } from './productOptions';
+import { categoryNames, subCategoryNames, withCurrent } from './categories';
+import { statusValues } from './productStatus';
+
+// One schema for every place a product is created or changed: the Add and
+// Edit form and the bulk import. Each field lists its rules in order; a rule
+// returns an error message or nothing, and the first failing rule wins.
+//
+// `values` are plain product fields; `images` is a list of Files and/or URLs.
+// `context.categories` is the taxonomy, `context.current` the product being
+// edited (its archived category stays valid).
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const required = (message) => (value) => isBlank(value) ? message : undefined;
+
+const isUrl = (value) => typeof value !== 'string' || /^https?:\/\//i.test(value);
+
+const isWholeNumber = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+export const productSchema = {
+  name: [
+    required('Product name is required'),
+    (value) => String(value).trim().length > 200 ? 'Product name must be 200 characters or fewer' : undefined
+  ],
+  description: [
+    required('Product description is required')
+  ],
+  price: [
+    required('Price is required'),
+    (value) => Number.isNaN(Number(value)) ? 'Price must be a number' : undefined,
+    (value) => Number(value) <= 0 ? 'Price must be greater than 0' : undefined
+  ],
+  salePrice: [
+    (value) => !isBlank(value) && Number.isNaN(Number(value)) ? 'Sale price must be a number' : undefined,
+    (value) => !isBlank(value) && Number(value) <= 0 ? 'Sale price must be greater than 0' : undefined,
+    (value, values) => !isBlank(value) && Number(value) >= Number(values.price)
+      ? 'Sale price must be lower than the regular price'
+      : undefined
+  ],
+  saleEnd: [
+    (value, values) => !isBlank(value) && !isBlank(values.saleStart) && new Date(value) <= new Date(values.saleStart)
+      ? 'Sale must end after it starts'
+      : undefined
+  ],
+  category: [
+    required('Category is required'),
+    (value, values, { categories, current }) => {
+      const options = withCurrent(categoryNames(categories), current && current.category);
+      return options.includes(value) ? undefined : `Category must be one of ${options.join(', ')}`;
+    }
+  ],
+  subCategory: [
+    required('Sub category is required'),
+    (value, values, { categories, current }) => {
+      // An unknown category is already reported on its own field
+      if (!categories.some(category => category.name === values.category)) return undefined;
+      const options = withCurrent(
+        subCategoryNames(categories, values.category),
+        current && current.category === values.category ? current.subCategory : ''
+      );
+      return options.includes(value) ? undefined : `Sub category must be one of ${options.join(', ')}`;
+    }
+  ],
+  status: [
+    (value) => statusValues.includes(value) ? undefined : `Status must be one of ${statusValues.join(', ')}`
+  ],
+  publishAt: [
+    (value, values) => values.status === 'scheduled' && isBlank(value) ? 'Pick a publish date and time' : undefined,
+    (value, values, { current }) => {
+      if (values.status !== 'scheduled' || isBlank(value)) return undefined;
+      // Keeping an unchanged schedule on edit is fine even if its time has passed
+      const unchanged = current && current.publishAt && new Date(current.publishAt).getTime() === new Date(value).getTime();
+      return !unchanged && new Date(value) <= new Date() ? 'Publish date must be in the future' : undefined;
+    }
+  ],
+  sizes: [
+    (value) => !value || !value.length ? 'Select at least one size' : undefined,
+    (value) => {
+      const unknown = value.filter(size => !sizeOptions.includes(size));
+      return unknown.length ? `Unknown sizes: ${unknown.join(', ')}` : undefined;
+    }
+  ],
+  images: [
+    (value) => !value || !value.length ? 'Add at least one image' : undefined,
+    (value) => value.length > MAX_IMAGES ? `At most ${MAX_IMAGES} images are allowed` : undefined,
+    (value) => value.every(isUrl) ? undefined : 'Image URLs must start with http:// or https://'
+  ],
+  stock: [
+    (value, values) => (values.sizes || []).every(size => isBlank(value?.[size]) || isWholeNumber(value[size]))
+      ? undefined
+      : 'Stock must be a whole number of 0 or more'
+  ],
+  variants: [
+    (value) => (value || []).every(variant => isBlank(variant.price) || Number(variant.price) > 0)
+      ? undefined
+      : 'Variant prices must be greater than 0',
+    (value) => (value || []).every(variant => isBlank(variant.stock) || isWholeNumber(variant.stock))
+      ? undefined
+      : 'Variant stock must be a whole number of 0 or more',
+    (value) => {
+      const skus = (value || []).map(variant => String(variant.sku || '').trim()).filter(Boolean);
+      return new Set(skus).size === skus.length ? undefined : 'Variant SKUs must be unique';
+    }
+  ]
+};
+
+// Returns { field: message } for every invalid field; empty when the product is valid.
+// Fields absent from `values` are skipped, so partial products can be checked too.
+export const validateProduct = (values, context = {}) => {
+  const fullContext = { categories: [], ...context };
+  const errors = {};
+
+  Object.entries(productSchema).forEach(([field, rules]) => {
+    if (!(field in values)) return;
+    for (const rule of rules) {
+      const message = rule(values[field], values, fullContext);
+      if (message) {
+        errors[field] = message;
+        break;
+      }
+    }
+  });
+
+  return errors;
+};
+
+export const isValid = (errors) => Object.keys(errors).length === 0;
+
+// The backend reports invalid fields as `errors: { field: message }`, either in a
+// `success: false` body or in the body of a 4xx response
+export const serverFieldErrors = (data) => {
+  if (!data || !data.errors || typeof data.errors !== 'object') return {};
+  const errors = {};
+  Object.entries(data.errors).forEach(([field, message]) => {
+    // image1..image4 all map onto the image manager
+    const key = /^image\d+$/.test(field) ? 'images' : field;
+    errors[key] = typeof message === 'string' ? message : message.message;
+  });
+  return errors;
+};
@@ -0,0 +1,31 @@
+export const productStatuses = [
+  { value: 'draft', label: 'Draft', badge: 'bg-gray-100 text-gray-700' },
+  { value: 'scheduled', label: 'Scheduled', badge: 'bg-blue-100 text-blue-800' },
+  { value: 'active', label: 'Active', badge: 'bg-green-100 text-green-800' },
+  { value: 'archived', label: 'Archived', badge: 'bg-yellow-100 text-yellow-800' }
+];
+
+export const statusValues = productStatuses.map(status => status.value);
+
+// Products created before lifecycle states existed are live. A scheduled product
+// counts as active once its publish time has passed, even before the backend
+// has promoted it.
+export const productStatus = (product, now = new Date()) => {
+  const status = product.status || 'active';
+  if (status === 'scheduled' && product.publishAt && new Date(product.publishAt) <= now) {
+    return 'active';
+  }
+  return status;
+};
+
+export const statusInfo = (value) =>
+  productStatuses.find(status => status.value === value) || productStatuses[2];
+
+// <input type="datetime-local"> works in local time without a zone: "2024-05-01T09:30"
+export const toDateTimeLocal = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return '';
+  const offset = value.getTimezoneOffset() * 60000;
+  return new Date(value.getTime() - offset).toISOString().slice(0, 16);
+};
@@ -0,0 +1,27 @@
+const THRESHOLD_KEY = 'lowStockThreshold';
+const DEFAULT_THRESHOLD = 5;
+
+export const getLowStockThreshold = () => {
+  const stored = localStorage.getItem(THRESHOLD_KEY);
+  if (stored === null || stored === '') return DEFAULT_THRESHOLD;
+  const value = Number(stored);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_THRESHOLD;
+};
+
+export const setLowStockThreshold = (value) => {
+  localStorage.setItem(THRESHOLD_KEY, value);
+};
+
+// Products created before stock tracking have no `stock` map; treat them as untracked
+export const hasStock = (product) => Boolean(product.stock) && Object.keys(product.stock).length > 0;
+
+export const totalStock = (product) => {
+  if (!hasStock(product)) return null;
+  return (product.sizes || []).reduce((sum, size) => sum + (Number(product.stock[size]) || 0), 0);
+};
+
+// Sizes on offer whose on-hand count is at or below the threshold
+export const lowStockSizes = (product, threshold) => {
+  if (!hasStock(product)) return [];
+  return (product.sizes || []).filter(size => (Number(product.stock[size]) || 0) <= threshold);
+};
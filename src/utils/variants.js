@@ -0,0 +1,64 @@
+// Variant cells are kept in a map keyed by color and size while editing,
+// and sent to the backend as a flat list: [{ color, size, sku, price, stock }]
+
+export const variantKey = (color, size) => `${color}|${size}`;
+
+export const emptyVariant = { sku: '', price: '', stock: '' };
+
+export const variantsFromProduct = (product) => {
+  const variants = {};
+  (product.variants || []).forEach(variant => {
+    variants[variantKey(variant.color, variant.size)] = {
+      sku: variant.sku || '',
+      price: variant.price ?? '',
+      stock: variant.stock ?? ''
+    };
+  });
+  return variants;
+};
+
+// Only the cells of the current color and size selection are kept; an empty
+// price means the variant sells at the product price
+export const serializeVariants = (colors, sizes, variants) =>
+  colors.flatMap(color => sizes.map(size => {
+    const cell = variants[variantKey(color, size)] || emptyVariant;
+    return {
+      color,
+      size,
+      sku: cell.sku.trim(),
+      price: cell.price === '' ? null : Number(cell.price),
+      stock: Number(cell.stock) || 0
+    };
+  }));
+
+// The variant's own price from a product (or an order item's snapshot of it),
+// or null when the variant sells at the product price
+export const variantPrice = (product, color, size) => {
+  const variant = (product.variants || []).find(item => item.color === color && item.size === size);
+  if (!variant || variant.price === null || variant.price === undefined || variant.price === '') return null;
+  return Number(variant.price);
+};
+
+// Per-size totals across colors, in the same shape as the product `stock` map
+export const stockFromVariants = (colors, sizes, variants) => {
+  const stock = {};
+  sizes.forEach(size => {
+    stock[size] = colors.reduce((sum, color) => {
+      const cell = variants[variantKey(color, size)];
+      return sum + (cell ? Number(cell.stock) || 0 : 0);
+    }, 0);
+  });
+  return stock;
+};
+
+export const suggestSku = (name, color, size) =>
+  [name, color, size]
+    .map(part => String(part).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, ''))
+    .filter(Boolean)
+    .join('-');
+
+// Label for an ordered item, e.g. "Red / M (TEE-RED-M)"
+export const describeVariant = (item) => {
+  const parts = [item.color, item.size].filter(Boolean).join(' / ');
+  return item.sku ? `${parts} (${item.sku})` : parts;
+};